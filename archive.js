@@ -0,0 +1,180 @@
+import _ from 'lodash';
+import path from 'path';
+import VError from 'verror';
+import yauzl from 'yauzl';
+
+import {
+	DEFAULT_ARCHIVE_LIMITS,
+	FILE_SIGNATURE_LENGTH,
+	inspectArchiveEntries,
+	inspectFileSignature,
+	isDirectoryEntry,
+	isSystemEntry,
+} from './archiveSecurity.js';
+import { SECURITY_VIOLATION_ERROR, UserError } from './errors.js';
+import { isTextFile } from './files.js';
+import { streamToBuffer } from './streams.js';
+import { createValidationReport } from './validation.js';
+
+const UTF8_FILE_NAME_FLAG = 0x800;
+
+const openZipFile = zipPath => {
+	return new Promise((resolve, reject) => {
+		const options = { lazyEntries: true, autoClose: false, decodeStrings: false };
+
+		yauzl.open(zipPath, options, (error, zipFile) => {
+			if (error) {
+				reject(error);
+				return;
+			}
+			resolve(zipFile);
+		});
+	});
+};
+
+// File names are decoded here rather than by yauzl, which rejects the whole archive on the
+// first unsafe path instead of letting every entry be inspected.
+const decodeFileName = ({ fileName, generalPurposeBitFlag }) => {
+	const encoding = generalPurposeBitFlag & UTF8_FILE_NAME_FLAG ? 'utf8' : 'latin1';
+
+	return fileName.toString(encoding).replace(/\\/g, '/');
+};
+
+const readEntries = zipFile => {
+	return new Promise((resolve, reject) => {
+		const entries = [];
+
+		zipFile.on('entry', entry => {
+			entry.fileName = decodeFileName(entry);
+			entries.push(entry);
+			zipFile.readEntry();
+		});
+		zipFile.once('end', () => resolve(entries));
+		zipFile.once('error', reject);
+		zipFile.readEntry();
+	});
+};
+
+const openEntryStream = (zipFile, entry) => {
+	return new Promise((resolve, reject) => {
+		zipFile.openReadStream(entry, (error, stream) => {
+			if (error) {
+				reject(error);
+				return;
+			}
+			resolve(stream);
+		});
+	});
+};
+
+// Stops reading after the signature bytes; like readStream, it listens to events rather than
+// iterating the entry stream.
+const readEntryHeader = async (zipFile, entry) => {
+	const stream = await openEntryStream(zipFile, entry);
+
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let length = 0;
+
+		const finish = () => {
+			stream.removeAllListeners('data');
+			resolve(Buffer.concat(chunks).subarray(0, FILE_SIGNATURE_LENGTH));
+			stream.destroy();
+		};
+
+		stream.on('data', chunk => {
+			chunks.push(chunk);
+			length += chunk.length;
+
+			if (length >= FILE_SIGNATURE_LENGTH) {
+				finish();
+			}
+		});
+		stream.once('end', finish);
+		stream.once('error', reject);
+	});
+};
+
+const inspectArchive = async (zipFile, entries, limits) => {
+	const issues = inspectArchiveEntries(entries, limits);
+
+	if (issues.length === 0) {
+		for (const entry of _.reject(entries, isDirectoryEntry)) {
+			issues.push(...inspectFileSignature(entry, await readEntryHeader(zipFile, entry)));
+		}
+	}
+
+	return createValidationReport(issues);
+};
+
+export const createZipSource = async (zipPath, { limits } = {}) => {
+	const directoryPath = path.resolve(zipPath);
+	let zipFile;
+
+	try {
+		zipFile = await openZipFile(directoryPath);
+
+		// System entries are neither inspected nor exposed, so they never reach storage
+		const allEntries = _.reject(await readEntries(zipFile), isSystemEntry);
+		const validationReport = await inspectArchive(zipFile, allEntries, {
+			...DEFAULT_ARCHIVE_LIMITS,
+			...limits,
+		});
+
+		if (!validationReport.valid) {
+			throw UserError.securityViolation(
+				`${path.basename(zipPath)} failed archive security checks`,
+				{ info: { validationReport } }
+			);
+		}
+
+		const entries = _.reject(allEntries, isDirectoryEntry);
+		const entriesByPath = _.keyBy(entries, ({ fileName }) => path.join(directoryPath, fileName));
+		const textFiles = {};
+
+		for (const [filePath, entry] of _.toPairs(entriesByPath)) {
+			if (isTextFile(filePath)) {
+				textFiles[filePath] = await streamToBuffer(await openEntryStream(zipFile, entry));
+			}
+		}
+
+		const getEntry = filePath => {
+			if (!entriesByPath[filePath]) {
+				throw new VError(`${filePath} is not an entry of ${zipPath}`);
+			}
+
+			return entriesByPath[filePath];
+		};
+
+		const getFiles = (directory = directoryPath) => {
+			return _.filter(_.keys(entriesByPath), filePath => _.startsWith(filePath, `${directory}/`));
+		};
+
+		const readFile = (filePath, encoding) => {
+			if (!textFiles[filePath]) {
+				throw new VError(`${filePath} is not a text entry of ${zipPath}`);
+			}
+
+			return encoding ? textFiles[filePath].toString(encoding) : textFiles[filePath];
+		};
+
+		return {
+			directoryPath,
+			getFiles,
+			readFile,
+			createReadStream: filePath => openEntryStream(zipFile, getEntry(filePath)),
+			getSize: filePath => getEntry(filePath).uncompressedSize,
+			close: () => zipFile.close(),
+		};
+	} catch (error) {
+		if (zipFile) {
+			zipFile.close();
+		}
+
+		if (error.name === SECURITY_VIOLATION_ERROR) {
+			throw error;
+		}
+
+		throw UserError.archiveCorrupt(`failed to read ${zipPath}`, { cause: error });
+	}
+};
@@ -0,0 +1,124 @@
+import { expect } from 'chai';
+import _ from 'lodash';
+import path from 'path';
+import VError from 'verror';
+
+import { createZipSource } from './archive.js';
+import { hashContent, hashStream } from './deduplication.js';
+import { streamToBuffer } from './streams.js';
+
+const FIXTURE_ZIP = 'fixtures/html5-test-a.zip';
+const STORED_FIXTURE_ZIP = 'fixtures/html5-test-stored.zip';
+
+describe('zip file sources', () => {
+    let source;
+
+    beforeEach(async () => {
+        source = await createZipSource(FIXTURE_ZIP);
+    });
+
+    afterEach(() => {
+        source.close();
+    });
+
+    it('should list the files of the zip file without extracting it', async () => {
+        const files = await source.getFiles(source.directoryPath);
+
+        expect(source.directoryPath).to.eql(path.resolve(FIXTURE_ZIP));
+        expect(_.map(files, file => path.relative(source.directoryPath, file))).to.eql([
+            'html5-test-a/html5-test-a.html',
+            'html5-test-a/images/test-image.png',
+        ]);
+    });
+
+    it('should read text files in memory and stream binary files', async () => {
+        const [htmlFile, imageFile] = await source.getFiles(source.directoryPath);
+
+        expect(source.readFile(htmlFile, 'utf8')).to.include(
+            `var clickTag = 'https://www.google.com';`
+        );
+        expect(() => source.readFile(imageFile)).to.throw('is not a text entry of');
+
+        const image = await streamToBuffer(await source.createReadStream(imageFile));
+
+        expect(image.subarray(0, 4).toString('latin1')).to.eql('\x89PNG');
+        expect(source.getSize(imageFile)).to.eql(image.length);
+    });
+
+    it('should inspect the signatures of entries stored without compression', async () => {
+        const storedSource = await createZipSource(STORED_FIXTURE_ZIP);
+        const toRelativePath = file => path.relative(storedSource.directoryPath, file);
+
+        try {
+            expect(_.map(storedSource.getFiles(), toRelativePath)).to.eql([
+                'html5-test-stored/images/test-image.png',
+                'html5-test-stored/html5-test-stored.html',
+            ]);
+        } finally {
+            storedSource.close();
+        }
+    });
+
+    it('should stream and hash entries stored without compression', async () => {
+        const storedSource = await createZipSource(STORED_FIXTURE_ZIP);
+        const [imageFile] = storedSource.getFiles();
+
+        try {
+            const image = await streamToBuffer(await storedSource.createReadStream(imageFile));
+
+            expect(image.length).to.eql(storedSource.getSize(imageFile));
+            expect(await hashStream(await storedSource.createReadStream(imageFile))).to.eql(
+                hashContent(image)
+            );
+        } finally {
+            storedSource.close();
+        }
+    });
+
+    it('should drop files added by the operating system before the security checks', async () => {
+        const macosSource = await createZipSource('fixtures/html5-test-macos.zip');
+        const toRelativePath = file => path.relative(macosSource.directoryPath, file);
+
+        try {
+            expect(_.map(macosSource.getFiles(), toRelativePath)).to.eql([
+                'html5-test-macos/images/test-image.png',
+                'html5-test-macos/html5-test-macos.html',
+            ]);
+        } finally {
+            macosSource.close();
+        }
+    });
+
+    it('should reject files that are not zip files', async () => {
+        let error;
+
+        try {
+            await createZipSource('package.json');
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.name).to.eql('ArchiveCorruptError');
+        expect(error.message).to.match(/^failed to read package\.json: /);
+    });
+
+    it('should reject unsafe zip files with a validation report', async () => {
+        let error;
+
+        try {
+            await createZipSource('fixtures/unsafe.zip');
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.name).to.eql('ArchiveSecurityError');
+        expect(error.message).to.eql('unsafe.zip failed archive security checks');
+        expect(
+            _.map(VError.info(error).validationReport.errors, ({ rule, file }) => `${rule} ${file}`)
+        ).to.eql([
+            'archive-path-traversal ../escaped.html',
+            'archive-symlink unsafe/link.png',
+            'archive-file-type unsafe/run.sh',
+        ]);
+    });
+});
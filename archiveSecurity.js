@@ -0,0 +1,183 @@
+import _ from 'lodash';
+import mime from 'mime-types';
+import yauzl from 'yauzl';
+
+import { validationError } from './validation.js';
+
+const ONE_MEGABYTE = 1024 * 1024;
+const SYMLINK_MODE = 0o120000;
+const FILE_TYPE_MASK = 0o170000;
+
+export const DEFAULT_ARCHIVE_LIMITS = {
+	maxEntries: 1000,
+	maxTotalUncompressedSize: 250 * ONE_MEGABYTE,
+	maxCompressionRatio: 100,
+	compressionRatioMinSize: ONE_MEGABYTE,
+	maxDepth: 10,
+};
+
+const ALLOWED_CONTENT_TYPES = [
+	'text/html',
+	'text/css',
+	'application/javascript',
+	'image/*',
+	'font/*',
+	'application/vnd.ms-fontobject',
+	'video/*',
+];
+
+const FILE_SIGNATURES = {
+	'image/png': [{ bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }],
+	'image/jpeg': [{ bytes: [0xff, 0xd8, 0xff] }],
+	'image/gif': [{ bytes: 'GIF87a' }, { bytes: 'GIF89a' }],
+	'image/webp': [{ bytes: 'WEBP', offset: 8 }],
+	'image/vnd.microsoft.icon': [{ bytes: [0x00, 0x00, 0x01, 0x00] }],
+	'font/woff': [{ bytes: 'wOFF' }],
+	'font/woff2': [{ bytes: 'wOF2' }],
+	'font/ttf': [{ bytes: [0x00, 0x01, 0x00, 0x00] }, { bytes: 'true' }],
+	'font/otf': [{ bytes: 'OTTO' }],
+	'video/mp4': [{ bytes: 'ftyp', offset: 4 }],
+	'video/quicktime': [{ bytes: 'ftyp', offset: 4 }, { bytes: 'moov', offset: 4 }],
+	'video/webm': [{ bytes: [0x1a, 0x45, 0xdf, 0xa3] }],
+	'video/ogg': [{ bytes: 'OggS' }],
+};
+
+export const FILE_SIGNATURE_LENGTH = 16;
+
+// Metadata added by the operating system when zipping: macOS resource forks (AppleDouble ._<name>
+// files) under __MACOSX/, Finder's .DS_Store and Windows Explorer's Thumbs.db.
+const SYSTEM_DIRECTORIES = ['__MACOSX'];
+const SYSTEM_FILE_NAMES = ['.DS_Store', 'Thumbs.db'];
+
+export const isDirectoryEntry = ({ fileName }) => _.endsWith(fileName, '/');
+
+export const isSystemEntry = ({ fileName }) => {
+	const segments = _.compact(fileName.split('/'));
+
+	return (
+		_.some(segments, segment => _.includes(SYSTEM_DIRECTORIES, segment)) ||
+		_.includes(SYSTEM_FILE_NAMES, _.last(segments))
+	);
+};
+
+const isSymlinkEntry = ({ externalFileAttributes }) => {
+	return ((externalFileAttributes >>> 16) & FILE_TYPE_MASK) === SYMLINK_MODE;
+};
+
+const isAllowedContentType = contentType => {
+	return _.some(ALLOWED_CONTENT_TYPES, allowed => {
+		return _.endsWith(allowed, '/*')
+			? _.startsWith(contentType, allowed.slice(0, -1))
+			: contentType === allowed;
+	});
+};
+
+const inspectEntry = (entry, limits) => {
+	const { fileName, compressedSize, uncompressedSize } = entry;
+	const location = { file: fileName };
+	const pathError = yauzl.validateFileName(fileName);
+
+	if (pathError) {
+		return [
+			validationError(
+				'archive-path-traversal',
+				`Zip entry has an unsafe path: ${pathError}`,
+				location
+			),
+		];
+	}
+
+	const issues = [];
+
+	if (isSymlinkEntry(entry)) {
+		issues.push(validationError('archive-symlink', 'Zip entry is a symbolic link', location));
+	}
+
+	if (_.compact(fileName.split('/')).length - 1 > limits.maxDepth) {
+		issues.push(
+			validationError(
+				'archive-nesting-depth',
+				`Zip entry is nested deeper than ${limits.maxDepth} folders`,
+				location
+			)
+		);
+	}
+
+	if (isDirectoryEntry(entry)) {
+		return issues;
+	}
+
+	const ratio = compressedSize > 0 ? uncompressedSize / compressedSize : Infinity;
+
+	if (uncompressedSize > limits.compressionRatioMinSize && ratio > limits.maxCompressionRatio) {
+		issues.push(
+			validationError(
+				'archive-compression-ratio',
+				`Zip entry exceeds the maximum compression ratio of ${limits.maxCompressionRatio}`,
+				location
+			)
+		);
+	}
+
+	const contentType = mime.lookup(fileName);
+
+	if (!contentType || !isAllowedContentType(contentType)) {
+		issues.push(
+			validationError(
+				'archive-file-type',
+				`Zip entry has an unsupported file type '${contentType || 'unknown'}'`,
+				location
+			)
+		);
+	}
+
+	return issues;
+};
+
+export const inspectArchiveEntries = (entries, limits = DEFAULT_ARCHIVE_LIMITS) => {
+	const issues = _.flatMap(entries, entry => inspectEntry(entry, limits));
+
+	if (entries.length > limits.maxEntries) {
+		issues.push(
+			validationError(
+				'archive-entry-count',
+				`Zip file contains ${entries.length} entries, the maximum is ${limits.maxEntries}`
+			)
+		);
+	}
+
+	const totalUncompressedSize = _.sumBy(entries, 'uncompressedSize');
+
+	if (totalUncompressedSize > limits.maxTotalUncompressedSize) {
+		issues.push(
+			validationError(
+				'archive-total-size',
+				`Zip file uncompresses to ${totalUncompressedSize} bytes, the maximum is ${limits.maxTotalUncompressedSize}`
+			)
+		);
+	}
+
+	return issues;
+};
+
+const matchesSignature = (header, { bytes, offset = 0 }) => {
+	const expected = Buffer.from(bytes);
+
+	return header.subarray(offset, offset + expected.length).equals(expected);
+};
+
+export const inspectFileSignature = ({ fileName }, header) => {
+	const signatures = FILE_SIGNATURES[mime.lookup(fileName)];
+
+	if (!signatures || _.some(signatures, signature => matchesSignature(header, signature))) {
+		return [];
+	}
+
+	return [
+		validationError(
+			'archive-file-signature',
+			`Zip entry content does not match its '${mime.lookup(fileName)}' file type`,
+			{ file: fileName }
+		),
+	];
+};
@@ -0,0 +1,126 @@
+import { expect } from 'chai';
+import _ from 'lodash';
+
+import {
+    DEFAULT_ARCHIVE_LIMITS,
+    inspectArchiveEntries,
+    inspectFileSignature,
+    isSystemEntry,
+} from './archiveSecurity.js';
+
+const entry = (fileName, { compressedSize = 10, uncompressedSize = 10, mode = 0o100644 } = {}) => ({
+    fileName,
+    compressedSize,
+    uncompressedSize,
+    externalFileAttributes: mode * 0x10000,
+});
+
+describe('zip file security checks', () => {
+    describe('inspectArchiveEntries', () => {
+        it('should accept creative assets', () => {
+            const entries = [
+                entry('creative/'),
+                entry('creative/index.html'),
+                entry('creative/script.js'),
+                entry('creative/style.css'),
+                entry('creative/assets/image.png'),
+                entry('creative/assets/logo.svg'),
+                entry('creative/fonts/font.woff2'),
+                entry('creative/video/intro.mp4'),
+            ];
+
+            expect(inspectArchiveEntries(entries)).to.eql([]);
+        });
+
+        it('should reject unsafe paths, symlinks and unsupported file types', () => {
+            const issues = inspectArchiveEntries([
+                entry('../escaped.html'),
+                entry('/etc/passwd.html'),
+                entry('creative/link.png', { mode: 0o120777 }),
+                entry('creative/run.sh'),
+                entry('creative/nested.zip'),
+            ]);
+
+            expect(_.map(issues, ({ rule, file }) => `${rule} ${file}`)).to.eql([
+                'archive-path-traversal ../escaped.html',
+                'archive-path-traversal /etc/passwd.html',
+                'archive-symlink creative/link.png',
+                `archive-file-type creative/run.sh`,
+                'archive-file-type creative/nested.zip',
+            ]);
+            expect(issues[3].message).to.eql(
+                `Zip entry has an unsupported file type 'application/x-sh'`
+            );
+        });
+
+        it('should reject zip bombs', () => {
+            const megabyte = 1024 * 1024;
+            const issues = inspectArchiveEntries(
+                [
+                    entry('creative/bomb.png', { compressedSize: megabyte, uncompressedSize: 200 * megabyte }),
+                    entry('creative/small.png', { compressedSize: 1, uncompressedSize: 1000 }),
+                ],
+                { ...DEFAULT_ARCHIVE_LIMITS, maxTotalUncompressedSize: 100 * megabyte }
+            );
+
+            expect(_.map(issues, 'rule')).to.eql(['archive-compression-ratio', 'archive-total-size']);
+            expect(issues[0].file).to.eql('creative/bomb.png');
+        });
+
+        it('should limit the number of entries and their nesting depth', () => {
+            const issues = inspectArchiveEntries(
+                [entry('a/b/c/d.png'), entry('a/b/e.png'), entry('a/f.png')],
+                { ...DEFAULT_ARCHIVE_LIMITS, maxEntries: 2, maxDepth: 2 }
+            );
+
+            expect(_.map(issues, 'rule')).to.eql(['archive-nesting-depth', 'archive-entry-count']);
+            expect(issues[1].message).to.eql('Zip file contains 3 entries, the maximum is 2');
+        });
+    });
+
+    describe('inspectFileSignature', () => {
+        it('should accept files matching their magic bytes', () => {
+            const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+            const webp = Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1');
+
+            expect(inspectFileSignature({ fileName: 'a.png' }, png)).to.eql([]);
+            expect(inspectFileSignature({ fileName: 'a.webp' }, webp)).to.eql([]);
+            expect(inspectFileSignature({ fileName: 'a.html' }, Buffer.from('<html>'))).to.eql([]);
+        });
+
+        it('should reject files not matching their magic bytes', () => {
+            expect(inspectFileSignature({ fileName: 'a.png' }, Buffer.from('<html>'))).to.eql([
+                {
+                    rule: 'archive-file-signature',
+                    severity: 'error',
+                    message: `Zip entry content does not match its 'image/png' file type`,
+                    file: 'a.png',
+                },
+            ]);
+        });
+    });
+
+    describe('isSystemEntry', () => {
+        it('should detect files added by the operating system when zipping', () => {
+            expect(
+                _.filter(
+                    [
+                        '__MACOSX/',
+                        '__MACOSX/creative/._image.png',
+                        'creative/.DS_Store',
+                        'creative/images/Thumbs.db',
+                        'creative/index.html',
+                        'creative/images/image.png',
+                        'creative/__MACOSX.html',
+                    ],
+                    fileName => isSystemEntry({ fileName })
+                )
+            ).to.eql([
+                '__MACOSX/',
+                '__MACOSX/creative/._image.png',
+                'creative/.DS_Store',
+                'creative/images/Thumbs.db',
+            ]);
+        });
+    });
+});
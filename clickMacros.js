@@ -0,0 +1,48 @@
+import _ from 'lodash';
+
+export const DEFAULT_CLICK_MACRO = 'adserver';
+
+const QUERY_PARAM_REGEX = /^[\w-]+$/;
+const CLICK_URL_MACRO_REGEX = /^[^'"`\\\s]+$/;
+
+const clickMacros = new Map();
+
+// render receives the quote used for the clickthrough url and returns the expression it is
+// prefixed with, so that the ad server macro ends up inside a string of the same style
+export const registerClickMacro = clickMacro => {
+	const { name, render } = clickMacro;
+
+	if (!name || !_.isFunction(render)) {
+		throw new TypeError('click macro must have a name and a render function');
+	}
+
+	clickMacros.set(name, clickMacro);
+};
+
+export const getClickMacro = name => clickMacros.get(name);
+
+export const getClickMacroNames = () => [...clickMacros.keys()];
+
+// The creative reads the click url from queryParam; clickUrlMacro is the ad server macro that the
+// generated tag puts in that query param, the configured click url placeholder is used without one.
+// The creative decodes the query param, so clickUrlMacro should expand to an escaped url.
+export const createQueryParamClickMacro = (name, queryParam, clickUrlMacro) => {
+	if (!QUERY_PARAM_REGEX.test(queryParam)) {
+		throw new TypeError(`invalid click macro query param '${queryParam}'`);
+	}
+
+	if (!_.isUndefined(clickUrlMacro) && !CLICK_URL_MACRO_REGEX.test(clickUrlMacro)) {
+		throw new TypeError(`invalid click url macro '${clickUrlMacro}'`);
+	}
+
+	return {
+		name,
+		queryParam,
+		clickUrlMacro,
+		render: () => `decodeURIComponent(window.location.href.split('?${queryParam}=')[1])`,
+	};
+};
+
+registerClickMacro(createQueryParamClickMacro(DEFAULT_CLICK_MACRO, 'adserver'));
+registerClickMacro(createQueryParamClickMacro('gam', 'adserver', '%%CLICK_URL_ESC%%'));
+registerClickMacro(createQueryParamClickMacro('xandr', 'adserver', '${CLICK_URL_ENC}'));
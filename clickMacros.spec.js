@@ -0,0 +1,54 @@
+import { expect } from 'chai';
+
+import {
+    DEFAULT_CLICK_MACRO,
+    createQueryParamClickMacro,
+    getClickMacro,
+    getClickMacroNames,
+    registerClickMacro,
+} from './clickMacros.js';
+
+describe('click macro templates', () => {
+    it('should register the built-in click macros', () => {
+        expect(getClickMacroNames()).to.include.members(['adserver', 'gam', 'xandr']);
+        expect(DEFAULT_CLICK_MACRO).to.eql('adserver');
+    });
+
+    it('should read the click url from the query param the ad server macro is placed in', () => {
+        for (const name of ['adserver', 'gam', 'xandr']) {
+            expect(getClickMacro(name).queryParam).to.eql('adserver');
+            expect(getClickMacro(name).render({ quote: '"' })).to.eql(
+                `decodeURIComponent(window.location.href.split('?adserver=')[1])`
+            );
+        }
+
+        expect(getClickMacro('adserver').clickUrlMacro).to.eql(undefined);
+        expect(getClickMacro('gam').clickUrlMacro).to.eql('%%CLICK_URL_ESC%%');
+        expect(getClickMacro('xandr').clickUrlMacro).to.eql('${CLICK_URL_ENC}');
+    });
+
+    it('should return undefined for unknown click macros', () => {
+        expect(getClickMacro('unknown-macro')).to.eql(undefined);
+    });
+
+    it('should register custom query param click macros', () => {
+        registerClickMacro(createQueryParamClickMacro('custom-redirect', 'click_url'));
+
+        expect(getClickMacro('custom-redirect').render({ quote: `'` })).to.eql(
+            `decodeURIComponent(window.location.href.split('?click_url=')[1])`
+        );
+    });
+
+    it('should reject click macros that could inject code', () => {
+        expect(() => createQueryParamClickMacro('bad', `x')[1]);alert(1);//`)).to.throw(
+            `invalid click macro query param 'x')[1]);alert(1);//'`
+        );
+        expect(() => createQueryParamClickMacro('bad', 'url', `%%CLICK%%" onload="alert(1)`)).to.throw(
+            TypeError
+        );
+        expect(() => registerClickMacro({ name: 'bad', render: 'alert(1)' })).to.throw(
+            'click macro must have a name and a render function'
+        );
+        expect(getClickMacro('bad')).to.eql(undefined);
+    });
+});
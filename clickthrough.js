@@ -0,0 +1,353 @@
+import _ from 'lodash';
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+import { parse as parseHtml } from 'parse5';
+
+import { DEFAULT_CLICK_MACRO, getClickMacro, getClickMacroNames } from './clickMacros.js';
+import { validationWarning } from './validation.js';
+
+export const ADSERVER_MACRO = getClickMacro(DEFAULT_CLICK_MACRO).render({ quote: `'` });
+export const EXIT_CALL = 'exit-call';
+export const CLICK_TAG_ASSIGNMENT = 'click-tag-assignment';
+
+const URL_REGEX = /^https?:\/\//i;
+const CLICK_TAG_NAME = 'clicktag';
+const EXIT_METHOD_NAME = 'exit';
+const JAVASCRIPT_TYPES = [
+	'',
+	'module',
+	'text/javascript',
+	'application/javascript',
+	'application/x-javascript',
+	'text/ecmascript',
+];
+
+const parseScript = code => {
+	const options = {
+		ecmaVersion: 'latest',
+		locations: true,
+		allowHashBang: true,
+		allowReturnOutsideFunction: true,
+	};
+
+	try {
+		return acorn.parse(code, { ...options, sourceType: 'script' });
+	} catch (error) {
+		return acorn.parse(code, { ...options, sourceType: 'module' });
+	}
+};
+
+const getUrl = node => {
+	if (node.type === 'Literal' && _.isString(node.value) && URL_REGEX.test(node.value)) {
+		return node.value;
+	}
+
+	if (node.type === 'TemplateLiteral' && URL_REGEX.test(node.quasis[0].value.cooked)) {
+		return _.map(node.quasis, 'value.raw').join('${…}');
+	}
+
+	return undefined;
+};
+
+const getPropertyName = ({ computed, property }) => {
+	return computed ? property.type === 'Literal' && property.value : property.name;
+};
+
+const getClickTagName = node => {
+	return node.type === 'MemberExpression' ? getPropertyName(node) : node.name;
+};
+
+const isClickTag = node => {
+	const name = getClickTagName(node);
+
+	return _.isString(name) && name.toLowerCase() === CLICK_TAG_NAME;
+};
+
+const isExitCall = ({ callee }) => {
+	return callee.type === 'MemberExpression' && getPropertyName(callee) === EXIT_METHOD_NAME;
+};
+
+const getLeftmostOperand = node => {
+	return node.type === 'BinaryExpression' && node.operator === '+'
+		? getLeftmostOperand(node.left)
+		: node;
+};
+
+const normalizeExpression = expression => expression.replace(/\s+/g, '').replace(/"/g, `'`);
+
+const isClickMacroExpression = (code, node) => {
+	const expression = normalizeExpression(code.slice(node.start, node.end));
+
+	return _.some(getClickMacroNames(), name => {
+		const clickMacro = getClickMacro(name);
+
+		return _.some([`'`, '"'], quote => {
+			return normalizeExpression(clickMacro.render({ quote })) === expression;
+		});
+	});
+};
+
+const getConcatenatedUrl = node => {
+	return node.type === 'BinaryExpression' && node.operator === '+' ? getUrl(node.right) : undefined;
+};
+
+// A url concatenated to a registered click macro already carries the ad server prefix, e.g. when a
+// creative downloaded from the CDN is uploaded again, so it is reported but not wrapped. Other
+// concatenations, e.g. tracker + url, are wrapped as a whole.
+const isWrappedUrl = (code, node) => isClickMacroExpression(code, getLeftmostOperand(node));
+
+// GWD and Enabler exits name the exit in the string argument preceding the url, e.g.
+// gwd.actions.gwdGoogleAd.exit('gwd-ad', 'Btn-Exit', url) or Enabler.exit('Exit', url)
+const getExitName = (args, index) => {
+	const name = _.findLast(_.take(args, index), argument => {
+		return argument.type === 'Literal' && _.isString(argument.value) && !getUrl(argument);
+	});
+
+	return name && name.value;
+};
+
+const findClickthroughUrls = (code, ast, { exitCalls, clickTagAssignments }) => {
+	const sites = [];
+	const addSite = (node, kind, name) => {
+		const url = getUrl(node) || getConcatenatedUrl(node);
+
+		if (url) {
+			sites.push({ node, kind, name, url, wrapped: isWrappedUrl(code, node) });
+		}
+	};
+
+	walk.simple(ast, {
+		CallExpression: node => {
+			if (exitCalls && isExitCall(node)) {
+				_.each(node.arguments, (argument, index) => {
+					addSite(argument, EXIT_CALL, getExitName(node.arguments, index));
+				});
+			}
+		},
+		VariableDeclarator: ({ id, init }) => {
+			if (clickTagAssignments && init && id.type === 'Identifier' && isClickTag(id)) {
+				addSite(init, CLICK_TAG_ASSIGNMENT, getClickTagName(id));
+			}
+		},
+		AssignmentExpression: ({ operator, left, right }) => {
+			if (clickTagAssignments && operator === '=' && isClickTag(left)) {
+				addSite(right, CLICK_TAG_ASSIGNMENT, getClickTagName(left));
+			}
+		},
+	});
+
+	return _.sortBy(_.uniqBy(sites, 'node'), 'node.start');
+};
+
+const getQuote = (code, node, quote) => {
+	return quote || (node.type === 'Literal' ? code[node.start] : `'`);
+};
+
+const formatUrl = (code, node, quote) => {
+	const raw = code.slice(node.start, node.end);
+
+	if (!quote || node.type !== 'Literal' || raw[0] === quote) {
+		return raw;
+	}
+
+	const escaped = node.value
+		.replace(/\\/g, '\\\\')
+		.replace(new RegExp(quote, 'g'), `\\${quote}`);
+
+	return `${quote}${escaped}${quote}`;
+};
+
+const applyEdits = (code, edits) => {
+	return _.reduceRight(
+		_.sortBy(edits, 'start'),
+		(output, { start, end, replacement }) => {
+			return `${output.slice(0, start)}${replacement}${output.slice(end)}`;
+		},
+		code
+	);
+};
+
+const toParseWarning = error => {
+	return validationWarning(
+		'clickthrough-script',
+		`Script could not be parsed, its clickthrough urls were not rewritten: ${error.message}`,
+		{ line: _.get(error, 'loc.line', 1), column: _.get(error, 'loc.column', 0) + 1 }
+	);
+};
+
+// options: { exitCalls, clickTagAssignments, quote, clickMacro } where quote forces the url string
+// quote style and clickMacro is a registered click macro, the default one when not provided
+export const rewriteScriptClickthroughUrls = (code, options = {}) => {
+	const { quote, clickMacro = getClickMacro(DEFAULT_CLICK_MACRO) } = options;
+	let ast;
+
+	try {
+		ast = parseScript(code);
+	} catch (error) {
+		return { output: code, rewrites: [], wrapped: [], warnings: [toParseWarning(error)] };
+	}
+
+	const [wrappedSites, sites] = _.partition(
+		findClickthroughUrls(code, ast, options),
+		'wrapped'
+	);
+	const edits = _.map(sites, ({ node }) => {
+		const prefix = clickMacro.render({ quote: getQuote(code, node, quote) });
+
+		return {
+			start: node.start,
+			end: node.end,
+			replacement: `${prefix} + ${formatUrl(code, node, quote)}`,
+		};
+	});
+	const toLocation = ({ node, kind, name, url }) => ({
+		kind,
+		name,
+		url,
+		line: node.loc.start.line,
+		column: node.loc.start.column + 1,
+	});
+
+	return {
+		output: applyEdits(code, edits),
+		rewrites: _.map(sites, toLocation),
+		wrapped: _.map(wrappedSites, toLocation),
+		warnings: [],
+	};
+};
+
+const getAttribute = (element, name) => {
+	const attribute = _.find(element.attrs, { name });
+
+	return attribute && attribute.value;
+};
+
+const isInlineScript = element => {
+	const type = _.trim(getAttribute(element, 'type') || '').toLowerCase();
+
+	return (
+		element.tagName === 'script' &&
+		getAttribute(element, 'src') === undefined &&
+		_.includes(JAVASCRIPT_TYPES, type)
+	);
+};
+
+const findInlineScripts = node => {
+	const children = node.content ? node.content.childNodes : node.childNodes;
+	const scripts = isInlineScript(node) ? [node] : [];
+
+	return [...scripts, ..._.flatMap(children, findInlineScripts)];
+};
+
+const toHtmlLocations = (items, { startLine, startCol }) => {
+	return _.map(items, item => ({
+		...item,
+		line: startLine + item.line - 1,
+		column: item.line === 1 ? startCol + item.column - 1 : item.column,
+	}));
+};
+
+const isEventHandlerAttribute = ({ name }) => _.startsWith(name, 'on');
+
+const findEventHandlers = node => {
+	const children = node.content ? node.content.childNodes : node.childNodes;
+	const handlers = _.map(_.filter(node.attrs, isEventHandlerAttribute), attribute => ({
+		attribute,
+		location: node.sourceCodeLocation.attrs[attribute.name],
+	}));
+
+	return [...handlers, ..._.flatMap(children, findEventHandlers)];
+};
+
+const ATTRIBUTE_ENTITIES = { '&': '&amp;', '"': '&quot;', "'": '&#39;' };
+
+const escapeAttributeValue = (value, quote) => {
+	return value.replace(new RegExp(`[&${quote}]`, 'g'), character => ATTRIBUTE_ENTITIES[character]);
+};
+
+// event handler attributes, e.g. <div onclick="Enabler.exit('Exit', url)">, are rewritten in place
+// with urls quoted unlike the attribute value, which is written back quoted and escaped if needed
+const rewriteEventHandler = (html, { attribute, location }, options) => {
+	const source = html.slice(location.startOffset, location.endOffset);
+	const [, prefix, delimiter, rawValue] = source.match(/^([^=]*=\s*)(["']?)([\s\S]*)$/) || [];
+
+	if (prefix === undefined) {
+		return undefined;
+	}
+
+	const quote = delimiter || '"';
+	const scriptQuote = quote === '"' ? `'` : '"';
+	const result = rewriteScriptClickthroughUrls(attribute.value, { ...options, quote: scriptQuote });
+	const value = delimiter ? rawValue.slice(0, -1) : rawValue;
+	const output =
+		value === attribute.value && !_.includes(result.output, quote)
+			? result.output
+			: escapeAttributeValue(result.output, quote);
+	const replacement = `${quote}${output}${quote}`;
+	const lines = prefix.split('\n');
+	const valueLocation = {
+		startLine: location.startLine + lines.length - 1,
+		startCol:
+			(lines.length === 1 ? location.startCol : 1) + _.last(lines).length + delimiter.length,
+	};
+
+	return {
+		edits: _.isEmpty(result.rewrites)
+			? []
+			: [{ start: location.startOffset + prefix.length, end: location.endOffset, replacement }],
+		rewrites: toHtmlLocations(result.rewrites, valueLocation),
+		wrapped: toHtmlLocations(result.wrapped, valueLocation),
+		warnings: toHtmlLocations(result.warnings, valueLocation),
+	};
+};
+
+const sortByLocation = items => _.sortBy(items, ['line', 'column']);
+
+export const rewriteHtmlClickthroughUrls = (html, options = {}) => {
+	const document = parseHtml(html, { sourceCodeLocationInfo: true });
+	const edits = [];
+	const rewrites = [];
+	const wrapped = [];
+	const warnings = [];
+
+	for (const script of findInlineScripts(document)) {
+		const textNode = _.find(script.childNodes, { nodeName: '#text' });
+
+		if (!textNode) {
+			continue;
+		}
+
+		const location = textNode.sourceCodeLocation;
+		const code = html.slice(location.startOffset, location.endOffset);
+		const result = rewriteScriptClickthroughUrls(code, options);
+
+		edits.push({
+			start: location.startOffset,
+			end: location.endOffset,
+			replacement: result.output,
+		});
+		rewrites.push(...toHtmlLocations(result.rewrites, location));
+		wrapped.push(...toHtmlLocations(result.wrapped, location));
+		warnings.push(...toHtmlLocations(result.warnings, location));
+	}
+
+	for (const handler of findEventHandlers(document)) {
+		const result = rewriteEventHandler(html, handler, options);
+
+		if (!result) {
+			continue;
+		}
+
+		edits.push(...result.edits);
+		rewrites.push(...result.rewrites);
+		wrapped.push(...result.wrapped);
+		warnings.push(...result.warnings);
+	}
+
+	return {
+		output: applyEdits(html, edits),
+		rewrites: sortByLocation(rewrites),
+		wrapped: sortByLocation(wrapped),
+		warnings: sortByLocation(warnings),
+	};
+};
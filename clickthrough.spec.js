@@ -0,0 +1,285 @@
+import { expect } from 'chai';
+
+import { createQueryParamClickMacro } from './clickMacros.js';
+import {
+    ADSERVER_MACRO,
+    rewriteHtmlClickthroughUrls,
+    rewriteScriptClickthroughUrls,
+} from './clickthrough.js';
+
+describe('clickthrough url rewriting', () => {
+    describe('rewriteScriptClickthroughUrls', () => {
+        it('should rewrite urls passed to exit calls', () => {
+            const { output, rewrites } = rewriteScriptClickthroughUrls(
+                [
+                    `Enabler.exit('Exit', 'https://example.com/a_(b)');`,
+                    `gwd.actions.gwdGoogleAd['exit'](`,
+                    `    'gwd-ad',`,
+                    `    \`https://example.com/\${id}\`,`,
+                    `    true`,
+                    `);`,
+                ].join('\n'),
+                { exitCalls: true }
+            );
+
+            expect(output).to.eql(
+                [
+                    `Enabler.exit('Exit', ${ADSERVER_MACRO} + 'https://example.com/a_(b)');`,
+                    `gwd.actions.gwdGoogleAd['exit'](`,
+                    `    'gwd-ad',`,
+                    `    ${ADSERVER_MACRO} + \`https://example.com/\${id}\`,`,
+                    `    true`,
+                    `);`,
+                ].join('\n')
+            );
+            expect(rewrites).to.eql([
+                {
+                    kind: 'exit-call',
+                    name: 'Exit',
+                    url: 'https://example.com/a_(b)',
+                    line: 1,
+                    column: 22,
+                },
+                {
+                    kind: 'exit-call',
+                    name: 'gwd-ad',
+                    url: 'https://example.com/${…}',
+                    line: 4,
+                    column: 5,
+                },
+            ]);
+        });
+
+        it('should rewrite urls assigned to clickTag', () => {
+            const { output, rewrites } = rewriteScriptClickthroughUrls(
+                `window.clickTag = 'https://a.com';\nvar CLICKTAG = "https://b.com", other = 'https://c.com';`,
+                { clickTagAssignments: true }
+            );
+
+            expect(output).to.eql(
+                `window.clickTag = ${ADSERVER_MACRO} + 'https://a.com';\n` +
+                    `var CLICKTAG = ${ADSERVER_MACRO} + "https://b.com", other = 'https://c.com';`
+            );
+            expect(rewrites).to.eql([
+                {
+                    kind: 'click-tag-assignment',
+                    name: 'clickTag',
+                    url: 'https://a.com',
+                    line: 1,
+                    column: 19,
+                },
+                {
+                    kind: 'click-tag-assignment',
+                    name: 'CLICKTAG',
+                    url: 'https://b.com',
+                    line: 2,
+                    column: 16,
+                },
+            ]);
+        });
+
+        it('should ignore comments, strings and other call sites', () => {
+            const code = [
+                `// Enabler.exit('Exit', 'https://example.com');`,
+                `/* var clickTag = 'https://example.com'; */`,
+                `var text = "clickTag = 'https://example.com'";`,
+                `process.exit('https://example.com'.length);`,
+                `log('https://example.com');`,
+            ].join('\n');
+
+            expect(
+                rewriteScriptClickthroughUrls(code, { exitCalls: true, clickTagAssignments: true })
+            ).to.eql({ output: code, rewrites: [], wrapped: [], warnings: [] });
+        });
+
+        it('should normalize the url quote style when asked to', () => {
+            const { output } = rewriteScriptClickthroughUrls(`var clickTag = 'https://a.com/"b"';`, {
+                clickTagAssignments: true,
+                quote: '"',
+            });
+
+            expect(output).to.eql(`var clickTag = ${ADSERVER_MACRO} + "https://a.com/\\"b\\"";`);
+        });
+
+        it('should prefix urls with the given click macro', () => {
+            const clickMacro = createQueryParamClickMacro('click-url', 'click_url');
+            const macro = `decodeURIComponent(window.location.href.split('?click_url=')[1])`;
+            const { output } = rewriteScriptClickthroughUrls(
+                [
+                    `var clickTag = "https://a.com";`,
+                    `Enabler.exit('Exit', \`https://b.com/\${id}\`);`,
+                ].join('\n'),
+                { exitCalls: true, clickTagAssignments: true, clickMacro }
+            );
+
+            expect(output).to.eql(
+                [
+                    `var clickTag = ${macro} + "https://a.com";`,
+                    `Enabler.exit('Exit', ${macro} + \`https://b.com/\${id}\`);`,
+                ].join('\n')
+            );
+        });
+
+        it('should leave urls already prefixed with a click macro alone', () => {
+            const options = { exitCalls: true, clickTagAssignments: true };
+            const code = [
+                `var clickTag = ${ADSERVER_MACRO} + 'https://a.com';`,
+                `Enabler.exit('Exit', decodeURIComponent(window.location.href.split("?adserver=")[1]) + "https://b.com");`,
+            ].join('\n');
+
+            expect(rewriteScriptClickthroughUrls(code, options)).to.eql({
+                output: code,
+                rewrites: [],
+                wrapped: [
+                    {
+                        kind: 'click-tag-assignment',
+                        name: 'clickTag',
+                        url: 'https://a.com',
+                        line: 1,
+                        column: 16,
+                    },
+                    {
+                        kind: 'exit-call',
+                        name: 'Exit',
+                        url: 'https://b.com',
+                        line: 2,
+                        column: 22,
+                    },
+                ],
+                warnings: [],
+            });
+        });
+
+        it('should prefix urls concatenated to expressions other than a click macro', () => {
+            const { output, rewrites, wrapped } = rewriteScriptClickthroughUrls(
+                `var clickTag = tracker + 'https://a.com';`,
+                { clickTagAssignments: true }
+            );
+
+            expect(output).to.eql(`var clickTag = ${ADSERVER_MACRO} + tracker + 'https://a.com';`);
+            expect(rewrites).to.eql([
+                {
+                    kind: 'click-tag-assignment',
+                    name: 'clickTag',
+                    url: 'https://a.com',
+                    line: 1,
+                    column: 16,
+                },
+            ]);
+            expect(wrapped).to.eql([]);
+            expect(
+                rewriteScriptClickthroughUrls(output, { clickTagAssignments: true }).output
+            ).to.eql(output);
+        });
+
+        it('should leave scripts that cannot be parsed untouched', () => {
+            const code = `var clickTag = 'https://a.com';\nvar = ;`;
+
+            expect(rewriteScriptClickthroughUrls(code, { clickTagAssignments: true })).to.eql({
+                output: code,
+                rewrites: [],
+                wrapped: [],
+                warnings: [
+                    {
+                        rule: 'clickthrough-script',
+                        severity: 'warning',
+                        message:
+                            'Script could not be parsed, its clickthrough urls were not rewritten: ' +
+                            'Unexpected token (2:4)',
+                        line: 2,
+                        column: 5,
+                    },
+                ],
+            });
+        });
+    });
+
+    describe('rewriteHtmlClickthroughUrls', () => {
+        it('should rewrite inline scripts and report html locations', () => {
+            const html = [
+                `<html>`,
+                `<head><script>var clickTag = 'https://a.com';</script></head>`,
+                `<body>`,
+                `<!-- <script>var clickTag = 'https://b.com';</script> -->`,
+                `<script type="text/template">var clickTag = 'https://c.com';</script>`,
+                `<script src="clicktag.js">var clickTag = 'https://d.com';</script>`,
+                `<script>`,
+                `    window.clickTag =`,
+                `        'https://e.com';`,
+                `</script>`,
+                `</body>`,
+                `</html>`,
+            ].join('\n');
+
+            const { output, rewrites, warnings } = rewriteHtmlClickthroughUrls(html, {
+                clickTagAssignments: true,
+            });
+
+            expect(output).to.eql(
+                html
+                    .replace(`'https://a.com'`, `${ADSERVER_MACRO} + 'https://a.com'`)
+                    .replace(`'https://e.com'`, `${ADSERVER_MACRO} + 'https://e.com'`)
+            );
+            expect(rewrites).to.eql([
+                {
+                    kind: 'click-tag-assignment',
+                    name: 'clickTag',
+                    url: 'https://a.com',
+                    line: 2,
+                    column: 30,
+                },
+                {
+                    kind: 'click-tag-assignment',
+                    name: 'clickTag',
+                    url: 'https://e.com',
+                    line: 9,
+                    column: 9,
+                },
+            ]);
+            expect(warnings).to.eql([]);
+        });
+
+        it('should rewrite event handler attributes in place', () => {
+            const html = [
+                `<html>`,
+                `<body>`,
+                `<div id="a" onclick="Enabler.exit('Exit', 'https://a.com')">a</div>`,
+                `<a onClick='Enabler.exit("Exit", "https://b.com?x=1&amp;y=2")'>b</a>`,
+                `<div onmouseover="track('https://c.com')">c</div>`,
+                `</body>`,
+                `</html>`,
+            ].join('\n');
+            const clickMacro = createQueryParamClickMacro('click-url', 'click_url');
+            const macro = `decodeURIComponent(window.location.href.split('?click_url=')[1])`;
+
+            const { output, rewrites, warnings } = rewriteHtmlClickthroughUrls(html, {
+                exitCalls: true,
+                quote: `'`,
+                clickMacro,
+            });
+
+            expect(output).to.eql(
+                html
+                    .replace(`'https://a.com'`, `${macro} + 'https://a.com'`)
+                    .replace(
+                        `"https://b.com?x=1&amp;y=2"`,
+                        `${macro.replace(/'/g, '&#39;')} + "https://b.com?x=1&amp;y=2"`
+                    )
+            );
+            expect(rewrites).to.eql([
+                { kind: 'exit-call', name: 'Exit', url: 'https://a.com', line: 3, column: 43 },
+                { kind: 'exit-call', name: 'Exit', url: 'https://b.com?x=1&y=2', line: 4, column: 34 },
+            ]);
+            expect(warnings).to.eql([]);
+        });
+
+        it('should report unparseable scripts at their html location', () => {
+            const { warnings } = rewriteHtmlClickthroughUrls(
+                `<p>ad</p>\n<script>\nvar = ;\n</script>`,
+                { clickTagAssignments: true }
+            );
+
+            expect(warnings[0]).to.include({ line: 3, column: 5 });
+        });
+    });
+});
@@ -0,0 +1,61 @@
+import _ from 'lodash';
+
+import { validationError, validationWarning } from './validation.js';
+
+const normalizeDomain = domain => _.trimStart(_.trim(domain).toLowerCase(), '*.');
+
+const parseUrl = url => {
+	try {
+		return new URL(url);
+	} catch (error) {
+		return undefined;
+	}
+};
+
+const isBlockedHostname = (hostname, blockedDomains) => {
+	return _.some(blockedDomains, domain => {
+		return hostname === domain || _.endsWith(hostname, `.${domain}`);
+	});
+};
+
+const checkClickthrough = ({ name, url, file, line, column }, blockedDomains) => {
+	const location = { file, line, column };
+	const label = name ? `Clickthrough '${name}' url '${url}'` : `Clickthrough url '${url}'`;
+	const parsedUrl = parseUrl(url);
+
+	if (!parsedUrl || !parsedUrl.hostname) {
+		return [validationError('clickthrough-malformed', `${label} is malformed`, location)];
+	}
+
+	const issues = [];
+
+	if (parsedUrl.protocol !== 'https:') {
+		issues.push(validationError('clickthrough-https', `${label} does not use https`, location));
+	}
+
+	if (isBlockedHostname(parsedUrl.hostname, blockedDomains)) {
+		issues.push(
+			validationError(
+				'clickthrough-blocked-domain',
+				`${label} points to blocked domain '${parsedUrl.hostname}'`,
+				location
+			)
+		);
+	}
+
+	return issues;
+};
+
+export const checkClickthroughPolicy = ({ clickthroughs, blockedDomains = [] }) => {
+	if (_.isEmpty(clickthroughs)) {
+		return [
+			validationWarning('clickthrough-missing', 'Creative does not contain any clickthrough url'),
+		];
+	}
+
+	const normalizedBlockedDomains = _.compact(_.map(blockedDomains, normalizeDomain));
+
+	return _.flatMap(clickthroughs, clickthrough => {
+		return checkClickthrough(clickthrough, normalizedBlockedDomains);
+	});
+};
@@ -0,0 +1,87 @@
+import { expect } from 'chai';
+import _ from 'lodash';
+
+import { checkClickthroughPolicy } from './clickthroughPolicy.js';
+
+const clickthrough = (url, name = 'clickTag') => {
+    return { name, url, file: 'index.html', line: 3, column: 20 };
+};
+
+describe('clickthrough policy', () => {
+    it('should accept https clickthroughs', () => {
+        expect(
+            checkClickthroughPolicy({
+                clickthroughs: [clickthrough('https://www.example.com/landing?a=1')],
+                blockedDomains: ['blocked.com'],
+            })
+        ).to.eql([]);
+    });
+
+    it('should reject non https and malformed clickthroughs', () => {
+        const issues = checkClickthroughPolicy({
+            clickthroughs: [
+                clickthrough('http://www.example.com/', 'Btn-Exit'),
+                clickthrough('https://exa mple.com/'),
+                clickthrough('https://'),
+            ],
+        });
+
+        expect(issues).to.eql([
+            {
+                rule: 'clickthrough-https',
+                severity: 'error',
+                message: `Clickthrough 'Btn-Exit' url 'http://www.example.com/' does not use https`,
+                file: 'index.html',
+                line: 3,
+                column: 20,
+            },
+            {
+                rule: 'clickthrough-malformed',
+                severity: 'error',
+                message: `Clickthrough 'clickTag' url 'https://exa mple.com/' is malformed`,
+                file: 'index.html',
+                line: 3,
+                column: 20,
+            },
+            {
+                rule: 'clickthrough-malformed',
+                severity: 'error',
+                message: `Clickthrough 'clickTag' url 'https://' is malformed`,
+                file: 'index.html',
+                line: 3,
+                column: 20,
+            },
+        ]);
+    });
+
+    it('should reject clickthroughs to blocked domains and their subdomains', () => {
+        const issues = checkClickthroughPolicy({
+            clickthroughs: [
+                clickthrough('https://blocked.com/'),
+                clickthrough('https://www.Blocked.com/'),
+                clickthrough('https://notblocked.com/'),
+                clickthrough('https://ads.other.net/'),
+            ],
+            blockedDomains: [' BLOCKED.com', '*.other.net'],
+        });
+
+        expect(_.map(issues, 'rule')).to.eql([
+            'clickthrough-blocked-domain',
+            'clickthrough-blocked-domain',
+            'clickthrough-blocked-domain',
+        ]);
+        expect(issues[1].message).to.eql(
+            `Clickthrough 'clickTag' url 'https://www.Blocked.com/' points to blocked domain 'www.blocked.com'`
+        );
+    });
+
+    it('should warn when there is no clickthrough', () => {
+        expect(checkClickthroughPolicy({ clickthroughs: [] })).to.eql([
+            {
+                rule: 'clickthrough-missing',
+                severity: 'warning',
+                message: 'Creative does not contain any clickthrough url',
+            },
+        ]);
+    });
+});
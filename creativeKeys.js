@@ -0,0 +1,34 @@
+import _ from 'lodash';
+
+import { MANIFEST_FILE_NAME } from './manifest.js';
+
+export const VERSIONS_DIRECTORY = '_versions';
+
+export const getCreativeKeyPrefix = ({ campaignId, fileBaseName, uploadId }) => {
+	return `${campaignId}/${fileBaseName}_${uploadId}/`;
+};
+
+export const getManifestKey = creative => `${getCreativeKeyPrefix(creative)}${MANIFEST_FILE_NAME}`;
+
+export const getCurrentVersionKey = ({ campaignId, fileBaseName }) => {
+	return `${campaignId}/${VERSIONS_DIRECTORY}/${fileBaseName}.json`;
+};
+
+// Upload ids are uuids, which never contain an underscore, so the keys of creative 'a' are not
+// confused with the ones of a creative named 'a_b'. Keys outside of a creative prefix, like the
+// content index and the version pointers, are not parsed.
+export const parseCreativeKey = ({ campaignId, key }) => {
+	const match = new RegExp(`^${_.escapeRegExp(campaignId)}/([^/]+)_([^/_]+)/(.+)$`).exec(key);
+
+	if (!match) {
+		return undefined;
+	}
+
+	const [, fileBaseName, uploadId, relativePath] = match;
+
+	return { campaignId, fileBaseName, uploadId, relativePath };
+};
+
+export const isManifestKey = ({ campaignId, key }) => {
+	return _.get(parseCreativeKey({ campaignId, key }), 'relativePath') === MANIFEST_FILE_NAME;
+};
@@ -0,0 +1,71 @@
+import _ from 'lodash';
+import VError from 'verror';
+
+import { getCurrentVersionKey, isManifestKey, parseCreativeKey } from './creativeKeys.js';
+import {
+	deleteCreativeKeys,
+	getCreativeKeys,
+	getCreativeVersions,
+	removeContentIndexEntries,
+} from './versions.js';
+
+// Creatives are found from their keys, content index entries and version pointers are not
+// part of any creative prefix and are skipped
+export const listCampaignCreatives = async ({ storage, campaignId }) => {
+	const keys = await storage.list(`${campaignId}/`);
+	const keysByCreative = _.chain(keys)
+		.filter(key => parseCreativeKey({ campaignId, key }))
+		.groupBy(key => parseCreativeKey({ campaignId, key }).fileBaseName)
+		.value();
+	const creatives = [];
+
+	for (const fileBaseName of _.sortBy(_.keys(keysByCreative))) {
+		const creativeKeys = keysByCreative[fileBaseName];
+		const { currentUploadId, versions } = await getCreativeVersions({
+			storage,
+			campaignId,
+			fileBaseName,
+			manifestKeys: _.filter(creativeKeys, key => isManifestKey({ campaignId, key })),
+		});
+
+		creatives.push({
+			fileBaseName,
+			currentUploadId,
+			objectCount: creativeKeys.length,
+			versions: _.map(versions, version => _.omit(version, 'manifest')),
+		});
+	}
+
+	return { campaignId, creatives };
+};
+
+export const deleteCreative = async ({ storage, campaignId, fileBaseName }) => {
+	const keys = await getCreativeKeys({ storage, campaignId, fileBaseName });
+
+	if (keys.length === 0) {
+		throw new VError(
+			{ name: 'CreativeNotFoundError', info: { campaignId, fileBaseName } },
+			'campaign %s has no creative %s',
+			campaignId,
+			fileBaseName
+		);
+	}
+
+	const { versions } = await getCreativeVersions({
+		storage,
+		campaignId,
+		fileBaseName,
+		manifestKeys: _.filter(keys, key => isManifestKey({ campaignId, key })),
+	});
+
+	await deleteCreativeKeys({ storage, campaignId, keys });
+	await storage.delete(getCurrentVersionKey({ campaignId, fileBaseName }));
+
+	const removedIndexKeys = await removeContentIndexEntries({
+		storage,
+		campaignId,
+		removedManifests: _.map(versions, 'manifest'),
+	});
+
+	return { campaignId, fileBaseName, deletedKeys: keys, removedIndexKeys };
+};
@@ -0,0 +1,155 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { deleteCreative, listCampaignCreatives } from './creatives.js';
+import { indexStoredContent } from './deduplication.js';
+import { createLocalStorage } from './storage/index.js';
+import { promoteCreativeVersion } from './versions.js';
+
+describe('campaign creatives', () => {
+    let directory;
+    let storage;
+
+    const putVersion = async ({ fileBaseName, uploadId, uploadedAt }) => {
+        const prefix = `campaign-1/${fileBaseName}_${uploadId}/`;
+        const files = [{ key: `${prefix}index.html`, hash: `hash-${uploadId}` }];
+
+        await storage.put({ key: `${prefix}index.html`, body: '<html></html>' });
+        await storage.put({
+            key: `${prefix}manifest.json`,
+            body: JSON.stringify({
+                campaignId: 'campaign-1',
+                fileBaseName,
+                uploadId,
+                uploadedAt,
+                files,
+            }),
+        });
+    };
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-creatives-'));
+        storage = createLocalStorage({ directory });
+
+        await putVersion({
+            fileBaseName: 'creative-a',
+            uploadId: 'upload-1',
+            uploadedAt: '2024-01-01T00:00:00.000Z',
+        });
+        await putVersion({
+            fileBaseName: 'creative-a',
+            uploadId: 'upload-2',
+            uploadedAt: '2024-01-02T00:00:00.000Z',
+        });
+        await putVersion({
+            fileBaseName: 'creative-a_b',
+            uploadId: 'upload-3',
+            uploadedAt: '2024-01-03T00:00:00.000Z',
+        });
+        await indexStoredContent({
+            storage,
+            campaignId: 'campaign-1',
+            hash: 'hash-upload-1',
+            key: 'campaign-1/creative-a_upload-1/index.html',
+        });
+        await indexStoredContent({
+            storage,
+            campaignId: 'campaign-1',
+            hash: 'hash-upload-3',
+            key: 'campaign-1/creative-a_b_upload-3/index.html',
+        });
+        await storage.put({ key: 'campaign-2/creative-c_upload-4/index.html', body: '' });
+        await promoteCreativeVersion({
+            storage,
+            campaignId: 'campaign-1',
+            fileBaseName: 'creative-a',
+            uploadId: 'upload-1',
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should list the creatives of a campaign from its storage prefix', async () => {
+        const { campaignId, creatives } = await listCampaignCreatives({
+            storage,
+            campaignId: 'campaign-1',
+        });
+
+        expect(campaignId).to.eql('campaign-1');
+        expect(creatives).to.eql([
+            {
+                fileBaseName: 'creative-a',
+                currentUploadId: 'upload-1',
+                objectCount: 4,
+                versions: [
+                    {
+                        uploadId: 'upload-2',
+                        uploadedAt: '2024-01-02T00:00:00.000Z',
+                        uploadedBy: undefined,
+                        manifestKey: 'campaign-1/creative-a_upload-2/manifest.json',
+                        current: false,
+                    },
+                    {
+                        uploadId: 'upload-1',
+                        uploadedAt: '2024-01-01T00:00:00.000Z',
+                        uploadedBy: undefined,
+                        manifestKey: 'campaign-1/creative-a_upload-1/manifest.json',
+                        current: true,
+                    },
+                ],
+            },
+            {
+                fileBaseName: 'creative-a_b',
+                currentUploadId: 'upload-3',
+                objectCount: 2,
+                versions: [
+                    {
+                        uploadId: 'upload-3',
+                        uploadedAt: '2024-01-03T00:00:00.000Z',
+                        uploadedBy: undefined,
+                        manifestKey: 'campaign-1/creative-a_b_upload-3/manifest.json',
+                        current: true,
+                    },
+                ],
+            },
+        ]);
+    });
+
+    it('should delete every version of a creative, its current version and content index entries', async () => {
+        const { deletedKeys, removedIndexKeys } = await deleteCreative({
+            storage,
+            campaignId: 'campaign-1',
+            fileBaseName: 'creative-a',
+        });
+
+        expect(deletedKeys).to.eql([
+            'campaign-1/creative-a_upload-1/index.html',
+            'campaign-1/creative-a_upload-1/manifest.json',
+            'campaign-1/creative-a_upload-2/index.html',
+            'campaign-1/creative-a_upload-2/manifest.json',
+        ]);
+        expect(removedIndexKeys).to.eql(['campaign-1/_objects/hash-upload-1.json']);
+        expect(await storage.list('campaign-1/')).to.eql([
+            'campaign-1/_objects/hash-upload-3.json',
+            'campaign-1/creative-a_b_upload-3/index.html',
+            'campaign-1/creative-a_b_upload-3/manifest.json',
+        ]);
+    });
+
+    it('should reject deleting a creative that does not exist', async () => {
+        let error;
+
+        try {
+            await deleteCreative({ storage, campaignId: 'campaign-1', fileBaseName: 'creative-b' });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.name).to.eql('CreativeNotFoundError');
+        expect(error.message).to.eql('campaign campaign-1 has no creative creative-b');
+    });
+});
@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+
+import { readStream } from './streams.js';
+
+export const CONTENT_ADDRESSED_DIRECTORY = '_objects';
+
+export const hashContent = body => crypto.createHash('sha256').update(body).digest('hex');
+
+export const hashStream = async stream => {
+	const hash = crypto.createHash('sha256');
+
+	await readStream(stream, chunk => hash.update(chunk));
+
+	return hash.digest('hex');
+};
+
+// Every file keeps its key under the upload prefix, the content index only maps the hash of a
+// stored file to the key it was first uploaded to, so identical files are copied from there
+// instead of being uploaded again
+export const getContentIndexKey = ({ campaignId, hash }) => {
+	return `${campaignId}/${CONTENT_ADDRESSED_DIRECTORY}/${hash}.json`;
+};
+
+export const readContentIndexEntry = async ({ storage, campaignId, hash }) => {
+	const indexKey = getContentIndexKey({ campaignId, hash });
+
+	if (!(await storage.exists(indexKey))) {
+		return undefined;
+	}
+
+	return JSON.parse((await storage.get(indexKey)).toString('utf8'));
+};
+
+// Entries outlive the objects they point to when a version is pruned concurrently, so the object
+// is checked before being reused
+export const findStoredContent = async ({ storage, campaignId, hash }) => {
+	const entry = await readContentIndexEntry({ storage, campaignId, hash });
+
+	return entry && (await storage.exists(entry.key)) ? entry.key : undefined;
+};
+
+export const indexStoredContent = ({ storage, campaignId, hash, key }) => {
+	const body = `${JSON.stringify({ hash, key })}\n`;
+
+	return storage.put({
+		key: getContentIndexKey({ campaignId, hash }),
+		body,
+		contentType: 'application/json',
+		contentLength: Buffer.byteLength(body),
+	});
+};
@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+    findStoredContent,
+    getContentIndexKey,
+    hashContent,
+    indexStoredContent,
+} from './deduplication.js';
+import { createLocalStorage } from './storage/index.js';
+
+describe('content-addressed uploads', () => {
+    const hash = hashContent(Buffer.from('png'));
+    let directory;
+    let storage;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'creatives-content-index-'));
+        storage = createLocalStorage({ directory });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should find stored content by hash through the campaign content index', async () => {
+        const key = 'campaign-1/creative_upload-1/assets/a.png';
+
+        await storage.put({ key, body: 'png' });
+
+        expect(await findStoredContent({ storage, campaignId: 'campaign-1', hash })).to.eql(
+            undefined
+        );
+
+        await indexStoredContent({ storage, campaignId: 'campaign-1', hash, key });
+
+        expect(getContentIndexKey({ campaignId: 'campaign-1', hash })).to.eql(
+            `campaign-1/_objects/${hash}.json`
+        );
+        expect(await findStoredContent({ storage, campaignId: 'campaign-1', hash })).to.eql(key);
+        expect(await findStoredContent({ storage, campaignId: 'campaign-2', hash })).to.eql(
+            undefined
+        );
+    });
+
+    it('should ignore index entries whose object was deleted', async () => {
+        const key = 'campaign-1/creative_upload-1/assets/a.png';
+
+        await indexStoredContent({ storage, campaignId: 'campaign-1', hash, key });
+
+        expect(await findStoredContent({ storage, campaignId: 'campaign-1', hash })).to.eql(
+            undefined
+        );
+    });
+});
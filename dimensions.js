@@ -0,0 +1,154 @@
+import _ from 'lodash';
+import path from 'path';
+
+import { getFiles, readRootHtmlFile } from './files.js';
+import { resolveRootHtmlFile } from './rootHtml.js';
+
+const DIMENSIONS_REGEX = /^\s*(\d+)\s*x\s*(\d+)\s*$/i;
+const AD_SIZE_META_REGEX = /<meta[^>]*name\s*=\s*["']ad\.size["'][^>]*>/i;
+const AD_SIZE_CONTENT_REGEX =
+	/content\s*=\s*["']\s*width\s*=\s*(\d+)\s*,\s*height\s*=\s*(\d+)\s*["']/i;
+const GWD_SIZE_TAG_REGEXES = [
+	/<gwd-google-ad\b[^>]*>/i,
+	/<gwd-page\b[^>]*>/i,
+	/<[\w-]+\b[^>]*data-gwd-width[^>]*>/i,
+];
+const ROOT_ELEMENT_REGEX = /<body\b[^>]*>\s*<([\w-]+)\b([^>]*)>/i;
+
+export const parseDimensions = dimensions => {
+	const [, width, height] = _.toString(dimensions).match(DIMENSIONS_REGEX) || [];
+
+	if (!width || !height) {
+		return undefined;
+	}
+
+	return { width: Number(width), height: Number(height) };
+};
+
+export const formatDimensions = ({ width, height }) => `${width}x${height}`;
+
+export const isSameSize = (a, b) => a.width === b.width && a.height === b.height;
+
+const toSize = (width, height, source) => {
+	if (!width || !height) {
+		return undefined;
+	}
+
+	return { width: Number(width), height: Number(height), source };
+};
+
+const getAttribute = (tag, name) => {
+	const [, value] = tag.match(new RegExp(`\\s${_.escapeRegExp(name)}\\s*=\\s*["']([^"']*)["']`, 'i')) || [];
+
+	return value;
+};
+
+const getPixels = value => {
+	const [, pixels] = _.toString(value).match(/^\s*(\d+)(?:px)?\s*$/i) || [];
+
+	return pixels;
+};
+
+const getCssPixels = (declarations, property) => {
+	const [, pixels] =
+		declarations.match(new RegExp(`(?:^|[;{\\s])${property}\\s*:\\s*(\\d+)px`, 'i')) || [];
+
+	return pixels;
+};
+
+export const parseAdSizeMeta = rootHtmlString => {
+	const [metaTag] = rootHtmlString.match(AD_SIZE_META_REGEX) || [];
+	const [, width, height] = (metaTag && metaTag.match(AD_SIZE_CONTENT_REGEX)) || [];
+
+	return toSize(width, height, 'ad.size meta tag');
+};
+
+export const parseGWDSize = rootHtmlString => {
+	for (const tagRegex of GWD_SIZE_TAG_REGEXES) {
+		const [tag] = rootHtmlString.match(tagRegex) || [];
+
+		if (tag) {
+			const width = getPixels(getAttribute(tag, 'data-gwd-width'));
+			const height = getPixels(getAttribute(tag, 'data-gwd-height'));
+			const size = toSize(width, height, 'data-gwd-width/data-gwd-height attributes');
+
+			if (size) {
+				return size;
+			}
+		}
+	}
+
+	return undefined;
+};
+
+export const parseRootElementCssSize = rootHtmlString => {
+	const [, , attributes] = rootHtmlString.match(ROOT_ELEMENT_REGEX) || [];
+
+	if (attributes === undefined) {
+		return undefined;
+	}
+
+	const inlineStyle = getAttribute(attributes, 'style') || '';
+	const id = getAttribute(attributes, 'id');
+	const selectors = [
+		id && `#${id}`,
+		..._.map(_.compact(_.split(getAttribute(attributes, 'class'), /\s+/)), name => `.${name}`),
+	];
+	const rules = _.map(_.compact(selectors), selector => {
+		const ruleRegex = new RegExp(`${_.escapeRegExp(selector)}\\s*\\{([^}]*)\\}`, 'i');
+		const [, declarations] = rootHtmlString.match(ruleRegex) || [];
+
+		return declarations || '';
+	});
+
+	for (const declarations of [inlineStyle, ...rules]) {
+		const size = toSize(
+			getCssPixels(declarations, 'width'),
+			getCssPixels(declarations, 'height'),
+			'root element css'
+		);
+
+		if (size) {
+			return size;
+		}
+	}
+
+	return undefined;
+};
+
+export const detectCreativeSize = rootHtmlString => {
+	return (
+		parseGWDSize(rootHtmlString) ||
+		parseAdSizeMeta(rootHtmlString) ||
+		parseRootElementCssSize(rootHtmlString)
+	);
+};
+
+export const getCreativeSize = async ({
+	fileBaseName,
+	directoryToUpload,
+	_getFiles = getFiles,
+	_readRootHtmlFile = readRootHtmlFile,
+} = {}) => {
+	const directoryPath = path.resolve(directoryToUpload);
+	const files = await _getFiles(directoryPath);
+	const { rootHtmlFile } = resolveRootHtmlFile({ files, directoryPath, fileBaseName });
+
+	return rootHtmlFile ? detectCreativeSize(_readRootHtmlFile(rootHtmlFile)) : undefined;
+};
+
+export const checkDimensions = ({ declared, detected, tolerance = 0 }) => {
+	if (!declared || !detected || isSameSize(declared, detected)) {
+		return { valid: true };
+	}
+
+	const message = `creative size ${formatDimensions(detected)} from ${
+		detected.source
+	} does not match dimensions ${formatDimensions(declared)}`;
+	const withinTolerance =
+		tolerance > 0 &&
+		Math.abs(declared.width - detected.width) <= tolerance &&
+		Math.abs(declared.height - detected.height) <= tolerance;
+
+	return withinTolerance ? { valid: true, warning: message } : { valid: false, error: message };
+};
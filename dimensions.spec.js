@@ -0,0 +1,148 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import {
+    checkDimensions,
+    detectCreativeSize,
+    getCreativeSize,
+    parseDimensions,
+} from './dimensions.js';
+
+describe('creative dimensions', () => {
+    describe('parseDimensions', () => {
+        it('should parse declared dimensions', () => {
+            expect(parseDimensions('300x250')).to.eql({ width: 300, height: 250 });
+            expect(parseDimensions(' 728 X 90 ')).to.eql({ width: 728, height: 90 });
+        });
+
+        it('should return undefined for malformed dimensions', () => {
+            expect(parseDimensions(undefined)).to.eql(undefined);
+            expect(parseDimensions('300')).to.eql(undefined);
+            expect(parseDimensions('300px x 250px')).to.eql(undefined);
+        });
+    });
+
+    describe('detectCreativeSize', () => {
+        it('should detect the size from gwd attributes', () => {
+            expect(
+                detectCreativeSize(`
+                    <gwd-google-ad id="gwd-ad" data-gwd-width="300px" data-gwd-height="250px">
+                        <gwd-page id="page1" data-gwd-width="320px" data-gwd-height="50px"></gwd-page>
+                    </gwd-google-ad>
+                `)
+            ).to.eql({
+                width: 300,
+                height: 250,
+                source: 'data-gwd-width/data-gwd-height attributes',
+            });
+
+            expect(
+                detectCreativeSize(`
+                    <gwd-google-ad id="gwd-ad">
+                        <gwd-page id="page1" class="gwd-page-wrapper" data-gwd-width="320px" data-gwd-height="50px"></gwd-page>
+                    </gwd-google-ad>
+                `)
+            ).to.eql({
+                width: 320,
+                height: 50,
+                source: 'data-gwd-width/data-gwd-height attributes',
+            });
+        });
+
+        it('should detect the size from the ad size meta tag', () => {
+            expect(
+                detectCreativeSize('<meta name="ad.size" content="width=160,height=600">')
+            ).to.eql({ width: 160, height: 600, source: 'ad.size meta tag' });
+        });
+
+        it('should detect the size from the root element css', () => {
+            expect(
+                detectCreativeSize(`
+                    <body>
+                        <div id="container" style="width: 970px; height: 250px;"></div>
+                    </body>
+                `)
+            ).to.eql({ width: 970, height: 250, source: 'root element css' });
+
+            expect(
+                detectCreativeSize(`
+                    <style>
+                        #container { position: relative; width: 300px; height: 600px; }
+                    </style>
+                    <body>
+                        <div id="container"></div>
+                    </body>
+                `)
+            ).to.eql({ width: 300, height: 600, source: 'root element css' });
+
+            expect(
+                detectCreativeSize(`
+                    <style>
+                        .banner { width:728px;height:90px }
+                    </style>
+                    <body class="ad">
+                        <div class="wrapper banner"></div>
+                    </body>
+                `)
+            ).to.eql({ width: 728, height: 90, source: 'root element css' });
+        });
+
+        it('should return undefined when the size cannot be detected', () => {
+            expect(detectCreativeSize('<body><div></div></body>')).to.eql(undefined);
+        });
+    });
+
+    describe('getCreativeSize', () => {
+        it('should detect the size of the root html file', async () => {
+            const _getFiles = sinon.stub().returns(['assets/test-image.png', 'test-a.html']);
+            const _readRootHtmlFile = sinon
+                .stub()
+                .returns('<meta name="ad.size" content="width=300,height=250">');
+
+            const size = await getCreativeSize({
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
+
+            expect(_readRootHtmlFile.calledWith('test-a.html')).to.eql(true);
+            expect(size).to.eql({ width: 300, height: 250, source: 'ad.size meta tag' });
+        });
+    });
+
+    describe('checkDimensions', () => {
+        const declared = { width: 300, height: 250 };
+
+        it('should accept matching or undetected sizes', () => {
+            expect(checkDimensions({ declared, detected: { width: 300, height: 250 } })).to.eql({
+                valid: true,
+            });
+            expect(checkDimensions({ declared, detected: undefined })).to.eql({ valid: true });
+            expect(checkDimensions({ declared: undefined, detected: declared })).to.eql({
+                valid: true,
+            });
+        });
+
+        it('should reject mismatched sizes', () => {
+            expect(
+                checkDimensions({
+                    declared,
+                    detected: { width: 728, height: 90, source: 'ad.size meta tag' },
+                })
+            ).to.eql({
+                valid: false,
+                error: 'creative size 728x90 from ad.size meta tag does not match dimensions 300x250',
+            });
+        });
+
+        it('should warn for mismatched sizes within the tolerance', () => {
+            const detected = { width: 302, height: 250, source: 'root element css' };
+
+            expect(checkDimensions({ declared, detected, tolerance: 2 })).to.eql({
+                valid: true,
+                warning: 'creative size 302x250 from root element css does not match dimensions 300x250',
+            });
+            expect(checkDimensions({ declared, detected, tolerance: 1 }).valid).to.eql(false);
+        });
+    });
+});
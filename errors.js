@@ -0,0 +1,101 @@
+import _ from 'lodash';
+import VError from 'verror';
+
+export const VALIDATION_ERROR = 'ValidationError';
+export const NOT_FOUND_ERROR = 'NotFoundError';
+export const PAYLOAD_TOO_LARGE_ERROR = 'PayloadTooLargeError';
+export const UNSUPPORTED_FILE_TYPE_ERROR = 'UnsupportedFileTypeError';
+export const CREATIVE_VALIDATION_ERROR = 'CreativeValidationError';
+export const ARCHIVE_CORRUPT_ERROR = 'ArchiveCorruptError';
+export const SECURITY_VIOLATION_ERROR = 'ArchiveSecurityError';
+export const STORAGE_ERROR = 'StorageError';
+export const CONFIGURATION_ERROR = 'ConfigurationError';
+export const INTERNAL_ERROR = 'InternalError';
+
+// Errors are told apart by their VError name, anywhere in their cause chain. Codes are part of the
+// api and must not change once released.
+export const ERROR_TYPES = {
+	[VALIDATION_ERROR]: { code: 'VALIDATION_ERROR', status: 400 },
+	[NOT_FOUND_ERROR]: { code: 'NOT_FOUND', status: 404 },
+	CreativeNotFoundError: { code: 'NOT_FOUND', status: 404 },
+	CreativeVersionNotFoundError: { code: 'NOT_FOUND', status: 404 },
+	[PAYLOAD_TOO_LARGE_ERROR]: { code: 'PAYLOAD_TOO_LARGE', status: 413 },
+	[UNSUPPORTED_FILE_TYPE_ERROR]: { code: 'UNSUPPORTED_FILE_TYPE', status: 415 },
+	[CREATIVE_VALIDATION_ERROR]: { code: 'CREATIVE_VALIDATION_FAILED', status: 422 },
+	[ARCHIVE_CORRUPT_ERROR]: { code: 'ARCHIVE_CORRUPT', status: 422 },
+	[SECURITY_VIOLATION_ERROR]: { code: 'SECURITY_VIOLATION', status: 422 },
+	[STORAGE_ERROR]: { code: 'STORAGE_FAILURE', status: 502 },
+	UploadRolledBackError: { code: 'STORAGE_FAILURE', status: 502 },
+	[CONFIGURATION_ERROR]: { code: 'CONFIGURATION_ERROR', status: 500 },
+	[INTERNAL_ERROR]: { code: 'INTERNAL_ERROR', status: 500 },
+};
+
+const createError = name => (message, { cause, info, skipCauseMessage } = {}) => {
+	return new VError({ name, cause, info, skipCauseMessage }, '%s', message);
+};
+
+export const UserError = {
+	validationError: createError(VALIDATION_ERROR),
+	notFound: createError(NOT_FOUND_ERROR),
+	payloadTooLarge: createError(PAYLOAD_TOO_LARGE_ERROR),
+	unsupportedFileType: createError(UNSUPPORTED_FILE_TYPE_ERROR),
+	creativeValidationError: createError(CREATIVE_VALIDATION_ERROR),
+	archiveCorrupt: createError(ARCHIVE_CORRUPT_ERROR),
+	securityViolation: createError(SECURITY_VIOLATION_ERROR),
+};
+
+export const ServerError = {
+	storageError: createError(STORAGE_ERROR),
+	configurationError: createError(CONFIGURATION_ERROR),
+	unknownError: cause => {
+		return new VError(
+			{
+				name: INTERNAL_ERROR,
+				cause: _.isError(cause) ? cause : undefined,
+				skipCauseMessage: true,
+			},
+			'internal error'
+		);
+	},
+};
+
+export const createErrorFromCode = (code, message, options) => {
+	return createError(_.findKey(ERROR_TYPES, { code }) || INTERNAL_ERROR)(message, options);
+};
+
+const findTypedError = error => {
+	for (let cause = error; _.isError(cause); cause = VError.cause(cause)) {
+		if (ERROR_TYPES[cause.name]) {
+			return cause;
+		}
+	}
+
+	return undefined;
+};
+
+export const getErrorType = error => ERROR_TYPES[_.get(findTypedError(error), 'name', INTERNAL_ERROR)];
+
+// Maps any error to the one reported to the client, with an http status and a machine readable
+// code. Details are only exposed for client errors, server errors keep their cause private.
+export const toHttpError = error => {
+	const typedError = findTypedError(error) || ServerError.unknownError(error);
+	const { code, status } = ERROR_TYPES[typedError.name];
+	const details = status < 500 ? VError.info(typedError) : {};
+	const httpError = new VError(
+		{
+			name: typedError.name,
+			cause: _.isError(error) ? error : undefined,
+			info: details,
+			skipCauseMessage: true,
+		},
+		'%s',
+		typedError.message
+	);
+
+	return Object.assign(httpError, {
+		code,
+		status,
+		statusCode: status,
+		toJSON: () => ({ code, message: typedError.message, details }),
+	});
+};
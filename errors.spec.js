@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import VError from 'verror';
+
+import { ServerError, UserError, createErrorFromCode, getErrorType, toHttpError } from './errors.js';
+
+describe('error taxonomy', () => {
+    it('should map each error type to an http status and code', () => {
+        const errors = [
+            UserError.validationError('unsupported exporter'),
+            UserError.notFound('unknown job'),
+            UserError.payloadTooLarge('uploaded file is too large'),
+            UserError.unsupportedFileType('unsupported file type'),
+            UserError.creativeValidationError('creative failed validation'),
+            UserError.archiveCorrupt('failed to read creative.zip'),
+            UserError.securityViolation('creative.zip failed archive security checks'),
+            ServerError.storageError('failed to upload'),
+            ServerError.configurationError('creatives cdn base url is not configured'),
+            new Error('boom'),
+        ];
+
+        expect(errors.map(error => `${toHttpError(error).status} ${toHttpError(error).code}`)).to.eql([
+            '400 VALIDATION_ERROR',
+            '404 NOT_FOUND',
+            '413 PAYLOAD_TOO_LARGE',
+            '415 UNSUPPORTED_FILE_TYPE',
+            '422 CREATIVE_VALIDATION_FAILED',
+            '422 ARCHIVE_CORRUPT',
+            '422 SECURITY_VIOLATION',
+            '502 STORAGE_FAILURE',
+            '500 CONFIGURATION_ERROR',
+            '500 INTERNAL_ERROR',
+        ]);
+    });
+
+    it('should find typed errors in the cause chain', () => {
+        const error = new VError(
+            UserError.archiveCorrupt('failed to read creative.zip', { cause: new Error('bad zip') }),
+            'upload failed'
+        );
+        const httpError = toHttpError(error);
+
+        expect(getErrorType(error)).to.eql({ code: 'ARCHIVE_CORRUPT', status: 422 });
+        expect(httpError.name).to.eql('ArchiveCorruptError');
+        expect(httpError.statusCode).to.eql(422);
+        expect(httpError.message).to.eql('failed to read creative.zip: bad zip');
+        expect(VError.cause(httpError)).to.equal(error);
+    });
+
+    it('should expose details of client errors only', () => {
+        const validationReport = { valid: false, errors: [{ rule: 'root-html-file' }] };
+        const clientError = toHttpError(
+            UserError.creativeValidationError('creative failed validation', {
+                info: { validationReport },
+            })
+        );
+        const serverError = toHttpError(
+            new VError({ name: 'UploadRolledBackError', info: { filePath: '/tmp/a.html' } }, 'failed')
+        );
+
+        expect(JSON.parse(JSON.stringify(clientError))).to.eql({
+            code: 'CREATIVE_VALIDATION_FAILED',
+            message: 'creative failed validation',
+            details: { validationReport },
+        });
+        expect(JSON.parse(JSON.stringify(serverError))).to.eql({
+            code: 'STORAGE_FAILURE',
+            message: 'failed',
+            details: {},
+        });
+        expect(toHttpError('boom').toJSON()).to.eql({
+            code: 'INTERNAL_ERROR',
+            message: 'internal error',
+            details: {},
+        });
+    });
+
+    it('should create errors from their code', () => {
+        const error = createErrorFromCode('UNSUPPORTED_FILE_TYPE', 'unsupported file type');
+
+        expect(error.name).to.eql('UnsupportedFileTypeError');
+        expect(createErrorFromCode('UNKNOWN', 'boom').name).to.eql('InternalError');
+    });
+});
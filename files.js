@@ -0,0 +1,55 @@
+import _ from 'lodash';
+import fs from 'fs';
+import path from 'path';
+
+export const UPLOAD_DIRECTORY = '../../../../../tmp/rich-media-markup-uploads';
+export const SCRIPT_FILE_EXTENSIONS = ['.js', '.mjs'];
+export const TEXT_FILE_EXTENSIONS = ['.html', '.htm', '.css', ...SCRIPT_FILE_EXTENSIONS];
+
+const readdir = async directoryPath => {
+	const entries = await fs.promises.readdir(directoryPath, { withFileTypes: true });
+	const files = [];
+
+	for (const entry of entries) {
+		const entryPath = path.join(directoryPath, entry.name);
+
+		if (entry.isDirectory()) {
+			files.push(...(await readdir(entryPath)));
+		} else {
+			files.push(entryPath);
+		}
+	}
+
+	return files;
+};
+
+export const getFiles = directoryPath => {
+	return fs.existsSync(directoryPath) ? readdir(directoryPath) : [];
+};
+
+export const readRootHtmlFile = rootHtmlFile => {
+	return fs.readFileSync(rootHtmlFile, 'utf8');
+};
+
+export const toRelativePath = (directoryPath, filePath) => {
+	return _.replace(filePath, `${directoryPath}/`, '');
+};
+
+export const isTextFile = filePath => {
+	return _.includes(TEXT_FILE_EXTENSIONS, path.extname(filePath).toLowerCase());
+};
+
+export const isScriptFile = filePath => {
+	return _.includes(SCRIPT_FILE_EXTENSIONS, path.extname(filePath).toLowerCase());
+};
+
+export const createDirectorySource = directoryToUpload => {
+	return {
+		directoryPath: path.resolve(directoryToUpload),
+		getFiles,
+		readFile: fs.readFileSync,
+		createReadStream: async filePath => (await fs.promises.open(filePath)).createReadStream(),
+		getSize: filePath => fs.statSync(filePath).size,
+		close: _.noop,
+	};
+};
@@ -1,13 +1,35 @@
 import { assert, expect } from 'chai';
+import fs from 'fs';
 import _ from 'lodash';
+import os from 'os';
+import path from 'path';
 import sinon from 'sinon';
+import { Readable } from 'stream';
+import VError from 'verror';
 
 import {
     validateConversioZipFile,
     validateGWDZipFile,
     processGWDClickthroughUrls,
     processConversioClickthroughUrls,
+    validateHtml5ZipFile,
+    processHtml5ClickthroughUrls,
+    previewDirectoryUpload,
+    uploadDirectoryToStorage,
+    uploadCreatives,
+    promoteCreative,
+    enqueueCreativeJobs,
+    startCreativeUploads,
+    listCampaignCreativesHandler,
 } from './handler.js';
+import { createZipSource } from './archive.js';
+import { getClickMacro } from './clickMacros.js';
+import { createInProcessJobQueue } from './jobs.js';
+import { getProcessor } from './processors/index.js';
+import { createLocalStorage } from './storage/index.js';
+import { createInMemorySink, createTelemetry } from './telemetry.js';
+import { listCreativeVersions } from './versions.js';
+import { stopWorkspaceSweeper } from './workspace.js';
 
 describe('campaign creatives zip file upload validators', () => {
     describe('validateGWDZipFile', () => {
@@ -35,14 +57,14 @@ describe('campaign creatives zip file upload validators', () => {
                 <image src="assets/test-image.png"/>
             `);
 
-            const isValid = await validateGWDZipFile({
+            const report = await validateGWDZipFile({
                 fileBaseName: 'gwd-test-a',
                 directoryToUpload: 'testUploadDirectory',
                 _getFiles,
                 _readRootHtmlFile,
             });
 
-            expect(isValid).to.eql(true);
+            expect(report.valid).to.eql(true);
         });
 
         it('should accept valid gwd zip files with parens in file name', async () => {
@@ -52,14 +74,14 @@ describe('campaign creatives zip file upload validators', () => {
                 <image src="assets/test-image.png"/>
             `);
 
-            const isValid = await validateGWDZipFile({
+            const report = await validateGWDZipFile({
                 fileBaseName: 'gwd-test-a (1)',
                 directoryToUpload: 'testUploadDirectory',
                 _getFiles,
                 _readRootHtmlFile,
             });
 
-            expect(isValid).to.eql(true);
+            expect(report.valid).to.eql(true);
         });
 
         it('should reject zip file with missing root html file', async () => {
@@ -67,60 +89,49 @@ describe('campaign creatives zip file upload validators', () => {
             const _readRootHtmlFile = sinon
                 .stub()
                 .returns(`<meta name="generator" content="Google Web Designer"/>`);
-            let isValid;
-
-            try {
-                isValid = await validateGWDZipFile({
-                    fileBaseName: 'gwd-test-a',
-                    directoryToUpload: 'testUploadDirectory',
-                    _getFiles,
-                    _readRootHtmlFile,
-                });
-            } catch (err) {
-                expect(err.message).to.eql('Zip file does not contain a root .html file');
-            }
+            const report = await validateGWDZipFile({
+                fileBaseName: 'gwd-test-a',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
 
-            expect(isValid).to.eql(undefined);
+            expect(report.valid).to.eql(false);
+            expect(_.map(report.errors, 'message')).to.include(
+                'Zip file does not contain a root .html file'
+            );
         });
 
         it('should reject zip file where root html file is missing content', async () => {
             const _getFiles = sinon.stub().returns(['gwd-test-a.html']);
             const _readRootHtmlFile = sinon.stub().returns('');
-            let isValid;
-
-            try {
-                isValid = await validateGWDZipFile({
-                    fileBaseName: 'gwd-test-a',
-                    directoryToUpload: 'testUploadDirectory',
-                    _getFiles,
-                    _readRootHtmlFile,
-                });
-            } catch (err) {
-                expect(err.message).to.eql('Root .html file is missing content');
-            }
+            const report = await validateGWDZipFile({
+                fileBaseName: 'gwd-test-a',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
 
-            expect(isValid).to.eql(undefined);
+            expect(report.valid).to.eql(false);
+            expect(_.map(report.errors, 'message')).to.include(
+                'Root .html file is missing content'
+            );
         });
 
         it('should reject zip file where root html file does not contain GWD metadata', async () => {
             const _getFiles = sinon.stub().returns(['gwd-test-a.html']);
             const _readRootHtmlFile = sinon.stub().returns('<meta/>');
-            let isValid;
-
-            try {
-                isValid = await validateGWDZipFile({
-                    fileBaseName: 'gwd-test-a',
-                    directoryToUpload: 'testUploadDirectory',
-                    _getFiles,
-                    _readRootHtmlFile,
-                });
-            } catch (err) {
-                expect(err.message).to.eql(
-                    'Root .html file does not contain Google Web Designer metadata'
-                );
-            }
+            const report = await validateGWDZipFile({
+                fileBaseName: 'gwd-test-a',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
 
-            expect(isValid).to.eql(undefined);
+            expect(report.valid).to.eql(false);
+            expect(_.map(report.errors, 'message')).to.include(
+                'Root .html file does not contain Google Web Designer metadata'
+            );
         });
 
         it('should reject zip file where assets folder is missing for linked assets', async () => {
@@ -129,20 +140,17 @@ describe('campaign creatives zip file upload validators', () => {
                 <meta name="generator" content="Google Web Designer"/>
                 <image src="assets/test-image.png"/>
             `);
-            let isValid;
-
-            try {
-                isValid = await validateGWDZipFile({
-                    fileBaseName: 'gwd-test-a',
-                    directoryToUpload: 'testUploadDirectory',
-                    _getFiles,
-                    _readRootHtmlFile,
-                });
-            } catch (err) {
-                expect(err.message).to.eql('Zip file is missing assets folder for linked assets');
-            }
+            const report = await validateGWDZipFile({
+                fileBaseName: 'gwd-test-a',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
 
-            expect(isValid).to.eql(undefined);
+            expect(report.valid).to.eql(false);
+            expect(_.map(report.errors, 'message')).to.include(
+                'Zip file is missing assets folder for linked assets'
+            );
         });
 
         it('should reject zip file where root html file base name is not in zip file base name', async () => {
@@ -151,22 +159,51 @@ describe('campaign creatives zip file upload validators', () => {
                 <meta name="generator" content="Google Web Designer"/>
                 <image src="assets/test-image.png"/>
             `);
-            let isValid;
+            const report = await validateConversioZipFile({
+                fileBaseName: 'gwd-test-a (1)',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
 
-            try {
-                isValid = await validateConversioZipFile({
-                    fileBaseName: 'gwd-test-a (1)',
-                    directoryToUpload: 'testUploadDirectory',
-                    _getFiles,
-                    _readRootHtmlFile,
-                });
-            } catch (err) {
-                expect(err.message).to.eql(
-                    `Zip file name 'gwd-test-a (1)' does not contain basename 'gwd-test-b'`
-                );
-            }
+            expect(report.valid).to.eql(false);
+            expect(_.map(report.errors, 'message')).to.include(
+                `Zip file name 'gwd-test-a (1)' does not contain basename 'gwd-test-b'`
+            );
+        });
+
+        it('should report every failed rule with its location', async () => {
+            const _getFiles = directoryPath => [`${directoryPath}/gwd-test-a.html`];
+            const _readRootHtmlFile = sinon.stub().returns(`<meta/>
+                <image src="assets/test-image.png"/>
+            `);
+
+            const report = await validateGWDZipFile({
+                fileBaseName: 'gwd-test-a',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
 
-            expect(isValid).to.eql(undefined);
+            expect(report).to.eql({
+                valid: false,
+                errors: [
+                    {
+                        rule: 'gwd-meta',
+                        severity: 'error',
+                        message: 'Root .html file does not contain Google Web Designer metadata',
+                        file: 'gwd-test-a.html',
+                    },
+                    {
+                        rule: 'linked-assets',
+                        severity: 'error',
+                        message: 'Zip file is missing assets folder for linked assets',
+                        file: 'gwd-test-a.html',
+                        line: 2,
+                    },
+                ],
+                warnings: [],
+            });
         });
     });
 
@@ -196,14 +233,14 @@ describe('campaign creatives zip file upload validators', () => {
                 <image src="images/test-image.png"/>
             `);
 
-            const isValid = await validateConversioZipFile({
+            const report = await validateConversioZipFile({
                 fileBaseName: 'conversio-test-a',
                 directoryToUpload: 'testUploadDirectory',
                 _getFiles,
                 _readRootHtmlFile,
             });
 
-            expect(isValid).to.eql(true);
+            expect(report.valid).to.eql(true);
         });
 
         it('should accept valid conversio zip files with parens in file name', async () => {
@@ -214,52 +251,46 @@ describe('campaign creatives zip file upload validators', () => {
                 <image src="images/test-image.png"/>
             `);
 
-            const isValid = await validateConversioZipFile({
+            const report = await validateConversioZipFile({
                 fileBaseName: 'conversio-test-a (1)',
                 directoryToUpload: 'testUploadDirectory',
                 _getFiles,
                 _readRootHtmlFile,
             });
 
-            expect(isValid).to.eql(true);
+            expect(report.valid).to.eql(true);
         });
 
         it('should reject zip file with missing root html file', async () => {
             const _getFiles = sinon.stub().returns([]);
             const _readRootHtmlFile = sinon.stub().returns(`<meta/>`);
-            let isValid;
-
-            try {
-                isValid = await validateConversioZipFile({
-                    fileBaseName: 'conversio-test-a',
-                    directoryToUpload: 'testUploadDirectory',
-                    _getFiles,
-                    _readRootHtmlFile,
-                });
-            } catch (err) {
-                expect(err.message).to.eql('Zip file does not contain a root .html file');
-            }
+            const report = await validateConversioZipFile({
+                fileBaseName: 'conversio-test-a',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
 
-            expect(isValid).to.eql(undefined);
+            expect(report.valid).to.eql(false);
+            expect(_.map(report.errors, 'message')).to.include(
+                'Zip file does not contain a root .html file'
+            );
         });
 
         it('should reject zip file where root html file is missing content', async () => {
             const _getFiles = sinon.stub().returns(['conversio-test-a.html']);
             const _readRootHtmlFile = sinon.stub().returns('');
-            let isValid;
-
-            try {
-                isValid = await validateConversioZipFile({
-                    fileBaseName: 'conversio-test-a',
-                    directoryToUpload: 'testUploadDirectory',
-                    _getFiles,
-                    _readRootHtmlFile,
-                });
-            } catch (err) {
-                expect(err.message).to.eql('Root .html file is missing content');
-            }
+            const report = await validateConversioZipFile({
+                fileBaseName: 'conversio-test-a',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
 
-            expect(isValid).to.eql(undefined);
+            expect(report.valid).to.eql(false);
+            expect(_.map(report.errors, 'message')).to.include(
+                'Root .html file is missing content'
+            );
         });
 
         it('should reject zip file where root html file base name is not in zip file base name', async () => {
@@ -269,22 +300,44 @@ describe('campaign creatives zip file upload validators', () => {
             const _readRootHtmlFile = sinon.stub().returns(`
                 <image src="images/test-image.png"/>
             `);
-            let isValid;
+            const report = await validateConversioZipFile({
+                fileBaseName: 'conversio-test-a (1)',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
 
-            try {
-                isValid = await validateConversioZipFile({
-                    fileBaseName: 'conversio-test-a (1)',
+            expect(report.valid).to.eql(false);
+            expect(_.map(report.errors, 'message')).to.include(
+                `Zip file name 'conversio-test-a (1)' does not contain basename 'conversio-test-b'`
+            );
+        });
+
+        it('should check the zip file name against the folder of an index.html entry point', async () => {
+            const _readRootHtmlFile = sinon.stub().returns(`
+                <image src="images/test-image.png"/>
+            `);
+            const validate = (fileBaseName, files) => {
+                return validateConversioZipFile({
+                    fileBaseName,
                     directoryToUpload: 'testUploadDirectory',
-                    _getFiles,
+                    _getFiles: sinon.stub().returns(files),
                     _readRootHtmlFile,
                 });
-            } catch (err) {
-                expect(err.message).to.eql(
-                    `Zip file name 'conversio-test-a (1)' does not contain basename 'conversio-test-b'`
-                );
-            }
+            };
+
+            const nested = ['Summer_300x250/index.html', 'Summer_300x250/images/test-image.png'];
+            const [report, renamedReport, topLevelReport] = await Promise.all([
+                validate('Summer_300x250', nested),
+                validate('Winter_300x250', nested),
+                validate('Summer_300x250', ['index.html', 'images/test-image.png']),
+            ]);
 
-            expect(isValid).to.eql(undefined);
+            expect(report.valid).to.eql(true);
+            expect(_.map(renamedReport.errors, 'message')).to.eql([
+                `Zip file name 'Winter_300x250' does not contain basename 'Summer_300x250'`,
+            ]);
+            expect(topLevelReport.valid).to.eql(true);
         });
     });
 
@@ -348,6 +401,31 @@ describe('campaign creatives zip file upload validators', () => {
             expect(processGWDClickthroughUrls(rawSingleUrlBody)).to.eql(processedSingleUrlBody);
             expect(processGWDClickthroughUrls(rawMultiUrlBody)).to.eql(processedMultiUrlBody);
         });
+
+        it('should give the same output when run twice', () => {
+            const body = `
+                <script type="text/javascript" gwd-events="handlers">
+                    gwd.auto_Btn_Exit_1Action = function(event) {
+                        gwd.actions.gwdGoogleAd.exit('gwd-ad', 'Btn-Exit', 'https://www.google.com/', true, true);
+                    };
+                    gwd.auto_Btn_Exit_2Action = function(event) {
+                        gwd.actions.gwdGoogleAd.exit('gwd-ad', 'Btn-Exit', "https://www.google.ca", true, true);
+                    };
+                </script>
+            `;
+            const processedBody = processGWDClickthroughUrls(body);
+
+            expect(processGWDClickthroughUrls(processedBody)).to.eql(processedBody);
+            expect(processedBody.match(/decodeURIComponent/g)).to.have.length(2);
+        });
+
+        it('should process clickthrough urls of event handler attributes', () => {
+            const body = `<div onclick="Enabler.exit('Exit', 'https://example.com/a')"></div>`;
+
+            expect(processGWDClickthroughUrls(body)).to.eql(
+                `<div onclick="Enabler.exit('Exit', decodeURIComponent(window.location.href.split('?adserver=')[1]) + 'https://example.com/a')"></div>`
+            );
+        });
     });
 
     describe('processConversioClickthroughUrls', () => {
@@ -439,5 +517,976 @@ describe('campaign creatives zip file upload validators', () => {
             `)
             ).to.eql(expectedOutputWithNoSpace);
         });
+
+        it('should give the same output when run twice', () => {
+            const body = `
+                <script>
+                    var clickTag = 'http://plancherspayless.com/fr/';
+                    window.clickTAG = "https://plancherspayless.com/en/";
+                </script>
+            `;
+            const processedBody = processConversioClickthroughUrls(body);
+
+            expect(processConversioClickthroughUrls(processedBody)).to.eql(processedBody);
+            expect(processedBody.match(/decodeURIComponent/g)).to.have.length(2);
+        });
+    });
+
+    describe('validateHtml5ZipFile', () => {
+        it('should accept valid html5 zip files and return the ad size', async () => {
+            const _getFiles = sinon.stub().returns(['html5-test-a.html', 'images/test-image.png']);
+            const _readRootHtmlFile = sinon.stub().returns(`
+                <meta name="ad.size" content="width=300,height=250">
+                <image src="images/test-image.png"/>
+            `);
+
+            const report = await validateHtml5ZipFile({
+                fileBaseName: 'html5-test-a',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
+
+            expect(_getFiles.called).to.eql(true);
+            expect(_readRootHtmlFile.called).to.eql(true);
+            expect(report.valid).to.eql(true);
+            expect(report.size).to.eql({ width: 300, height: 250 });
+        });
+
+        it('should reject zip file with missing root html file', async () => {
+            const _getFiles = sinon.stub().returns(['images/test-image.png']);
+            const _readRootHtmlFile = sinon.stub().returns('');
+            const report = await validateHtml5ZipFile({
+                fileBaseName: 'html5-test-a',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
+
+            expect(report.valid).to.eql(false);
+            expect(_.map(report.errors, 'message')).to.include(
+                'Zip file does not contain a root .html file'
+            );
+        });
+
+        it('should reject zip file where root html file is missing content', async () => {
+            const _getFiles = sinon.stub().returns(['html5-test-a.html']);
+            const _readRootHtmlFile = sinon.stub().returns('');
+            const report = await validateHtml5ZipFile({
+                fileBaseName: 'html5-test-a',
+                directoryToUpload: 'testUploadDirectory',
+                _getFiles,
+                _readRootHtmlFile,
+            });
+
+            expect(report.valid).to.eql(false);
+            expect(_.map(report.errors, 'message')).to.include(
+                'Root .html file is missing content'
+            );
+        });
+
+        it('should reject zip file where root html file does not contain ad size meta tag', async () => {
+            const invalidMetaTags = [
+                '<meta name="generator" content="Adobe Animate">',
+                '<meta name="ad.size" content="width=300">',
+                '<meta name="ad.size" content="width=300px,height=250px">',
+                '<meta name="ad.size" content="width=300.5,height=250">',
+            ];
+
+            for (const metaTag of invalidMetaTags) {
+                const _getFiles = sinon.stub().returns(['html5-test-a.html']);
+                const _readRootHtmlFile = sinon.stub().returns(metaTag);
+                const report = await validateHtml5ZipFile({
+                    fileBaseName: 'html5-test-a',
+                    directoryToUpload: 'testUploadDirectory',
+                    _getFiles,
+                    _readRootHtmlFile,
+                });
+
+                expect(report.valid).to.eql(false);
+                expect(_.map(report.errors, 'message')).to.include(
+                    'Root .html file does not contain ad size meta tag'
+                );
+            }
+        });
+    });
+
+    describe('processHtml5ClickthroughUrls', () => {
+        it('should process all clickthrough urls with a redirect macro', () => {
+            expect(
+                processHtml5ClickthroughUrls(`
+                <script>
+                    var clickTag = 'https://www.google.com';
+                </script>
+            `)
+            ).to.eql(`
+                <script>
+                    var clickTag = decodeURIComponent(window.location.href.split('?adserver=')[1]) + 'https://www.google.com';
+                </script>
+            `);
+
+            expect(
+                processHtml5ClickthroughUrls(`
+                <script>
+                    var clickTag="https://www.google.com";
+                    window.clickTAG = 'http://www.google.ca/?q=1';
+                </script>
+            `)
+            ).to.eql(`
+                <script>
+                    var clickTag=decodeURIComponent(window.location.href.split('?adserver=')[1]) + "https://www.google.com";
+                    window.clickTAG = decodeURIComponent(window.location.href.split('?adserver=')[1]) + 'http://www.google.ca/?q=1';
+                </script>
+            `);
+        });
+
+        it('should leave non url clickTag assignments untouched', () => {
+            const body = `
+                <script>
+                    var clickTag = '';
+                </script>
+            `;
+
+            expect(processHtml5ClickthroughUrls(body)).to.eql(body);
+        });
+
+        it('should give the same output when run twice', () => {
+            const processedBody = processHtml5ClickthroughUrls(`
+                <script>
+                    var clickTag = 'https://www.google.com';
+                </script>
+            `);
+
+            expect(processHtml5ClickthroughUrls(processedBody)).to.eql(processedBody);
+        });
+    });
+
+    describe('previewDirectoryUpload', () => {
+        it('should list upload keys and diff processed html files without uploading', async () => {
+            const directoryPath = '/testUploadDirectory';
+            const readFile = sinon.stub();
+            readFile
+                .withArgs(`${directoryPath}/html5-test-a.html`, 'utf8')
+                .returns(`<script>\n    var clickTag = 'https://www.google.com';\n</script>\n`);
+            const source = {
+                directoryPath,
+                getFiles: () => [
+                    `${directoryPath}/html5-test-a.html`,
+                    `${directoryPath}/images/test-image.png`,
+                ],
+                readFile,
+                createReadStream: () => Readable.from([Buffer.from('png')]),
+                getSize: () => 3,
+            };
+
+            const files = await previewDirectoryUpload({
+                campaignId: 'campaign-1',
+                source,
+                fileBaseName: 'html5-test-a',
+                uploadId: 'upload-1',
+                processor: getProcessor('html5'),
+            });
+
+            expect(_.map(files, 'Key')).to.eql([
+                'campaign-1/html5-test-a_upload-1/html5-test-a.html',
+                'campaign-1/html5-test-a_upload-1/images/test-image.png',
+            ]);
+            expect(_.map(files, 'ContentType')).to.eql(['text/html', 'image/png']);
+            expect(files[0].file).to.eql('html5-test-a.html');
+            expect(files[0].diff).to.include(`-    var clickTag = 'https://www.google.com';`);
+            expect(files[0].diff).to.include(
+                `+    var clickTag = decodeURIComponent(window.location.href.split('?adserver=')[1]) + 'https://www.google.com';`
+            );
+            expect(files[1]).to.not.have.property('diff');
+        });
+    });
+
+    describe('uploadDirectoryToStorage', () => {
+        let workspace;
+
+        beforeEach(() => {
+            workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'creatives-upload-'));
+            fs.mkdirSync(path.join(workspace, 'extracted/html5-test-a/images'), { recursive: true });
+            fs.writeFileSync(
+                path.join(workspace, 'extracted/html5-test-a/html5-test-a.html'),
+                `<script>var clickTag = 'https://www.google.com';</script>`
+            );
+            fs.writeFileSync(path.join(workspace, 'extracted/html5-test-a/images/a.png'), 'png');
+        });
+
+        afterEach(() => {
+            fs.rmSync(workspace, { recursive: true, force: true });
+        });
+
+        it('should upload processed files to the storage backend', async () => {
+            const storage = createLocalStorage({ directory: path.join(workspace, 'bucket') });
+
+            const uploadResults = await uploadDirectoryToStorage({
+                campaignId: 'campaign-1',
+                directoryToUpload: path.join(workspace, 'extracted/html5-test-a'),
+                fileBaseName: 'html5-test-a',
+                uploadId: 'upload-1',
+                processor: getProcessor('html5'),
+                storage,
+            });
+
+            expect(_.map(uploadResults, 'Key')).to.eql([
+                'campaign-1/html5-test-a_upload-1/html5-test-a.html',
+                'campaign-1/html5-test-a_upload-1/images/a.png',
+            ]);
+            expect(_.map(uploadResults, 'attempts')).to.eql([1, 1]);
+            expect(_.every(uploadResults, ({ durationMs }) => durationMs >= 0)).to.eql(true);
+            expect(await storage.list('campaign-1/')).to.eql(_.map(uploadResults, 'Key'));
+            expect(
+                fs.readFileSync(
+                    path.join(workspace, 'bucket/campaign-1/html5-test-a_upload-1/html5-test-a.html'),
+                    'utf8'
+                )
+            ).to.eql(
+                `<script>var clickTag = decodeURIComponent(window.location.href.split('?adserver=')[1]) + 'https://www.google.com';</script>`
+            );
+            expect(uploadResults[0].rewrites).to.eql([
+                {
+                    kind: 'click-tag-assignment',
+                    name: 'clickTag',
+                    url: 'https://www.google.com',
+                    line: 1,
+                    column: 24,
+                },
+            ]);
+            expect(uploadResults[1]).to.not.have.property('rewrites');
+        });
+
+        it('should retry transient storage errors', async () => {
+            const storage = {
+                name: 'test',
+                put: sinon.stub().resolves(),
+                delete: sinon.stub().resolves(),
+            };
+            storage.put
+                .withArgs(sinon.match({ key: 'campaign-1/html5-test-a_upload-1/images/a.png' }))
+                .onFirstCall()
+                .rejects(Object.assign(new Error('slow down'), { code: 'SlowDown' }));
+
+            const uploadResults = await uploadDirectoryToStorage({
+                campaignId: 'campaign-1',
+                directoryToUpload: path.join(workspace, 'extracted/html5-test-a'),
+                fileBaseName: 'html5-test-a',
+                uploadId: 'upload-1',
+                processor: getProcessor('html5'),
+                storage,
+                concurrency: 1,
+                retryDelay: 0,
+            });
+
+            expect(_.map(uploadResults, 'attempts')).to.eql([1, 2]);
+            expect(storage.put.callCount).to.eql(3);
+            expect(storage.delete.called).to.eql(false);
+        });
+
+        it('should upload files streamed from a zip source', async () => {
+            const storage = createLocalStorage({ directory: path.join(workspace, 'bucket') });
+            const source = await createZipSource('fixtures/html5-test-a.zip');
+
+            try {
+                const uploadResults = await uploadDirectoryToStorage({
+                    campaignId: 'campaign-1',
+                    source,
+                    fileBaseName: 'html5-test-a',
+                    uploadId: 'upload-1',
+                    processor: getProcessor('html5'),
+                    storage,
+                });
+
+                expect(_.map(uploadResults, 'Key')).to.eql([
+                    'campaign-1/html5-test-a_upload-1/html5-test-a.html',
+                    'campaign-1/html5-test-a_upload-1/images/test-image.png',
+                ]);
+            } finally {
+                source.close();
+            }
+
+            const bucketDirectory = path.join(workspace, 'bucket/campaign-1/html5-test-a_upload-1');
+
+            expect(
+                fs.readFileSync(path.join(bucketDirectory, 'html5-test-a.html'), 'utf8')
+            ).to.include(
+                `var clickTag = decodeURIComponent(window.location.href.split('?adserver=')[1]) + 'https://www.google.com';`
+            );
+            expect(fs.statSync(path.join(bucketDirectory, 'images/test-image.png')).size).to.eql(72);
+        });
+
+        it('should rewrite module scripts streamed from a zip source', async () => {
+            const storage = createLocalStorage({ directory: path.join(workspace, 'bucket') });
+            const source = await createZipSource('fixtures/html5-test-module.zip');
+
+            try {
+                const uploadResults = await uploadDirectoryToStorage({
+                    campaignId: 'campaign-1',
+                    source,
+                    fileBaseName: 'html5-test-module',
+                    uploadId: 'upload-1',
+                    processor: getProcessor('html5'),
+                    storage,
+                });
+
+                expect(_.map(uploadResults, 'Key')).to.eql([
+                    'campaign-1/html5-test-module_upload-1/html5-test-module.html',
+                    'campaign-1/html5-test-module_upload-1/js/main.mjs',
+                ]);
+            } finally {
+                source.close();
+            }
+
+            expect(
+                fs.readFileSync(
+                    path.join(workspace, 'bucket/campaign-1/html5-test-module_upload-1/js/main.mjs'),
+                    'utf8'
+                )
+            ).to.include(
+                `export const clickTag = decodeURIComponent(window.location.href.split('?adserver=')[1]) + 'https://www.google.com';`
+            );
+        });
+
+        it('should copy content-addressed files that were already uploaded', async () => {
+            const storage = createLocalStorage({ directory: path.join(workspace, 'bucket') });
+            const upload = uploadId =>
+                uploadDirectoryToStorage({
+                    campaignId: 'campaign-1',
+                    directoryToUpload: path.join(workspace, 'extracted/html5-test-a'),
+                    fileBaseName: 'html5-test-a',
+                    uploadId,
+                    processor: getProcessor('html5'),
+                    storage,
+                    contentAddressed: true,
+                });
+
+            const firstResults = await upload('upload-1');
+
+            fs.writeFileSync(path.join(workspace, 'extracted/html5-test-a/images/a.png'), 'png2');
+
+            const secondResults = await upload('upload-2');
+
+            expect(_.map(firstResults, 'status')).to.eql(['uploaded', 'uploaded']);
+            expect(_.map(secondResults, 'status')).to.eql(['reused', 'uploaded']);
+            expect(_.map(secondResults, 'Key')).to.eql([
+                'campaign-1/html5-test-a_upload-2/html5-test-a.html',
+                'campaign-1/html5-test-a_upload-2/images/a.png',
+            ]);
+            expect((await storage.get(secondResults[0].Key)).toString()).to.eql(
+                (await storage.get(firstResults[0].Key)).toString()
+            );
+            expect(await storage.list('campaign-1/_objects/')).to.eql(
+                _.sortBy([
+                    `campaign-1/_objects/${firstResults[0].hash}.json`,
+                    `campaign-1/_objects/${firstResults[1].hash}.json`,
+                    `campaign-1/_objects/${secondResults[1].hash}.json`,
+                ])
+            );
+        });
+
+        it('should keep content-addressed assets at the keys their scripts reference', async () => {
+            const directoryToUpload = path.join(workspace, 'extracted/creative-js');
+            const storage = createLocalStorage({ directory: path.join(workspace, 'bucket') });
+            const script = `var img = new Image();\nimg.src = 'assets/a.png';\n`;
+
+            fs.mkdirSync(path.join(directoryToUpload, 'js'), { recursive: true });
+            fs.mkdirSync(path.join(directoryToUpload, 'assets'));
+            fs.writeFileSync(
+                path.join(directoryToUpload, 'index.html'),
+                `<script src="js/main.js"></script><script>var clickTag = 'https://a.com';</script>`
+            );
+            fs.writeFileSync(path.join(directoryToUpload, 'js/main.js'), script);
+            fs.writeFileSync(path.join(directoryToUpload, 'assets/a.png'), 'png');
+
+            const results = await uploadDirectoryToStorage({
+                campaignId: 'c1',
+                directoryToUpload,
+                fileBaseName: 'creative-js',
+                uploadId: 'upload-1',
+                processor: getProcessor('html5'),
+                storage,
+                contentAddressed: true,
+            });
+
+            expect(_.map(results, 'Key')).to.include.members([
+                'c1/creative-js_upload-1/assets/a.png',
+                'c1/creative-js_upload-1/js/main.js',
+            ]);
+            expect((await storage.get('c1/creative-js_upload-1/js/main.js')).toString()).to.eql(
+                script
+            );
+            expect((await storage.get('c1/creative-js_upload-1/assets/a.png')).toString()).to.eql(
+                'png'
+            );
+        });
+
+        it('should roll back uploaded objects when a file fails to upload', async () => {
+            const storage = {
+                name: 'test',
+                put: sinon.stub(),
+                delete: sinon.stub().resolves(),
+            };
+            const sink = createInMemorySink();
+            storage.put.onFirstCall().resolves();
+            storage.put.onSecondCall().rejects(new Error('disk full'));
+            let error;
+
+            try {
+                await uploadDirectoryToStorage({
+                    campaignId: 'campaign-1',
+                    directoryToUpload: path.join(workspace, 'extracted/html5-test-a'),
+                    fileBaseName: 'html5-test-a',
+                    uploadId: 'upload-1',
+                    processor: getProcessor('html5'),
+                    storage,
+                    telemetry: createTelemetry({ sinks: [sink] }),
+                });
+            } catch (err) {
+                error = err;
+            }
+
+            const rolledBack = ['campaign-1/html5-test-a_upload-1/html5-test-a.html'];
+
+            expect(error.name).to.eql('UploadRolledBackError');
+            expect(error.message).to.match(
+                /^failed to upload .*images\/a\.png to test, rolled back 1 object\(s\): disk full$/
+            );
+            expect(_.omit(VError.info(error), 'filePath')).to.eql({
+                attempts: 1,
+                rolledBack,
+                rollbackFailures: [],
+            });
+            expect(_.map(storage.delete.args, 0)).to.eql([
+                ...rolledBack,
+                'campaign-1/html5-test-a_upload-1/images/a.png',
+            ]);
+            expect(_.map(sink.getMetrics('creative.upload.latency'), 'tags')).to.eql([
+                { exporter: 'html5', storage: 'test', outcome: 'failure' },
+            ]);
+        });
+
+        it('should roll back copied content-addressed files without indexing them', async () => {
+            const storage = {
+                name: 'test',
+                put: sinon.stub().resolves(),
+                copy: sinon.stub().resolves(),
+                delete: sinon.stub().resolves(),
+                exists: sinon.stub().resolves(true),
+                get: sinon.stub().resolves(
+                    Buffer.from(JSON.stringify({ key: 'campaign-1/html5-test-a_upload-0/a.html' }))
+                ),
+            };
+            storage.copy.rejects(new Error('disk full'));
+            let error;
+
+            try {
+                await uploadDirectoryToStorage({
+                    campaignId: 'campaign-1',
+                    directoryToUpload: path.join(workspace, 'extracted/html5-test-a'),
+                    fileBaseName: 'html5-test-a',
+                    uploadId: 'upload-1',
+                    processor: getProcessor('html5'),
+                    storage,
+                    retries: 0,
+                    contentAddressed: true,
+                });
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.name).to.eql('UploadRolledBackError');
+            expect(storage.put.called).to.eql(false);
+            expect(_.map(storage.delete.args, 0)).to.have.members([
+                'campaign-1/html5-test-a_upload-1/html5-test-a.html',
+                'campaign-1/html5-test-a_upload-1/images/a.png',
+            ]);
+        });
+    });
+
+    describe('uploadCreatives', () => {
+        let workspace;
+        let storage;
+
+        const markupOptions = { cdnBaseUrl: 'https://cdn.example.com/creatives/' };
+        const html5Zip = uploadId => ({
+            fileBaseName: 'html5-test-a',
+            fileExtension: '.zip',
+            filePath: 'fixtures/html5-test-a.zip',
+            uploadId,
+        });
+
+        beforeEach(() => {
+            workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'creatives-upload-'));
+            storage = createLocalStorage({ directory: workspace });
+        });
+
+        afterEach(() => {
+            fs.rmSync(workspace, { recursive: true, force: true });
+        });
+
+        it('should upload each zip file as its own creative', async () => {
+            const creatives = await uploadCreatives({
+                files: [html5Zip('upload-1'), html5Zip('upload-2')],
+                campaignId: 'campaign-1',
+                processor: getProcessor('html5'),
+                storage,
+                dimensions: '300x250',
+                markupOptions,
+            });
+
+            expect(_.map(creatives, 'status')).to.eql(['uploaded', 'uploaded']);
+            expect(_.map(creatives, 'cdnUrl')).to.eql([
+                'https://cdn.example.com/creatives/campaign-1/html5-test-a_upload-1/html5-test-a.html',
+                'https://cdn.example.com/creatives/campaign-1/html5-test-a_upload-2/html5-test-a.html',
+            ]);
+            expect(_.map(creatives[1].s3UploadResults, 'Key')).to.eql([
+                'campaign-1/html5-test-a_upload-2/html5-test-a.html',
+                'campaign-1/html5-test-a_upload-2/images/test-image.png',
+                'campaign-1/html5-test-a_upload-2/manifest.json',
+            ]);
+            expect(creatives[1].manifestKey).to.eql('campaign-1/html5-test-a_upload-2/manifest.json');
+            expect(creatives[1].clickthroughs).to.eql([
+                {
+                    name: 'clickTag',
+                    url: 'https://www.google.com',
+                    kind: 'click-tag-assignment',
+                    file: 'html5-test-a/html5-test-a.html',
+                    line: 5,
+                    column: 24,
+                },
+            ]);
+            expect(creatives[0].markup).to.eql(
+                '<iframe src="https://cdn.example.com/creatives/campaign-1/html5-test-a_upload-1/html5-test-a.html' +
+                    '?adserver=%%CLICK_URL_ESC%%" width="300" height="250" frameborder="0" marginwidth="0"' +
+                    ' marginheight="0" scrolling="no" style="border:0;overflow:hidden;"></iframe>'
+            );
+        });
+
+        it('should write a manifest alongside each creative', async () => {
+            const [creative] = await uploadCreatives({
+                files: [html5Zip('upload-1')],
+                campaignId: 'campaign-1',
+                processor: getProcessor('html5'),
+                storage,
+                dimensions: '300x250',
+                uploadedBy: { id: 'user-1', email: 'trafficker@example.com' },
+                markupOptions,
+                _now: () => new Date('2024-01-02T03:04:05.000Z'),
+            });
+            const manifest = JSON.parse(
+                fs.readFileSync(path.join(workspace, creative.manifestKey), 'utf8')
+            );
+
+            expect(_.omit(manifest, 'files')).to.eql({
+                version: 1,
+                campaignId: 'campaign-1',
+                uploadId: 'upload-1',
+                fileBaseName: 'html5-test-a',
+                rootHtmlKey: 'campaign-1/html5-test-a_upload-1/html5-test-a.html',
+                exporter: 'html5',
+                clickMacro: 'adserver',
+                dimensions: {
+                    declared: { width: 300, height: 250 },
+                    detected: { width: 300, height: 250, source: 'html5 validator' },
+                },
+                clickthroughs: creative.clickthroughs,
+                warnings: [],
+                uploadedBy: { id: 'user-1', email: 'trafficker@example.com' },
+                uploadedAt: '2024-01-02T03:04:05.000Z',
+            });
+            expect(_.map(manifest.files, file => _.omit(file, 'hash'))).to.eql([
+                {
+                    file: 'html5-test-a/html5-test-a.html',
+                    key: 'campaign-1/html5-test-a_upload-1/html5-test-a.html',
+                    size: fs.statSync(
+                        path.join(workspace, 'campaign-1/html5-test-a_upload-1/html5-test-a.html')
+                    ).size,
+                    contentType: 'text/html',
+                },
+                {
+                    file: 'html5-test-a/images/test-image.png',
+                    key: 'campaign-1/html5-test-a_upload-1/images/test-image.png',
+                    size: 72,
+                    contentType: 'image/png',
+                },
+            ]);
+            expect(_.map(manifest.files, 'hash')).to.eql(
+                _.map(_.take(creative.s3UploadResults, 2), 'hash')
+            );
+        });
+
+        it('should report failed creatives without hiding the others', async () => {
+            const creatives = await uploadCreatives({
+                files: [
+                    {
+                        fileBaseName: 'unsafe',
+                        fileExtension: '.zip',
+                        filePath: 'fixtures/unsafe.zip',
+                        uploadId: 'upload-1',
+                    },
+                    {
+                        fileBaseName: 'notes',
+                        fileExtension: '.txt',
+                        filePath: 'fixtures/notes.txt',
+                        uploadId: 'upload-2',
+                    },
+                    {
+                        fileBaseName: 'missing',
+                        fileExtension: '.zip',
+                        filePath: 'fixtures/missing.zip',
+                        uploadId: 'upload-3',
+                    },
+                    html5Zip('upload-4'),
+                ],
+                campaignId: 'campaign-1',
+                processor: getProcessor('html5'),
+                storage,
+                dimensions: '728x90',
+                markupOptions,
+            });
+
+            expect(_.map(creatives, 'status')).to.eql(['invalid', 'invalid', 'failed', 'invalid']);
+            expect(_.map(creatives, 'code')).to.eql([
+                'SECURITY_VIOLATION',
+                'UNSUPPORTED_FILE_TYPE',
+                'ARCHIVE_CORRUPT',
+                'CREATIVE_VALIDATION_FAILED',
+            ]);
+            expect(creatives[0].error).to.eql('unsafe.zip failed archive security checks');
+            expect(creatives[1].error).to.eql('unsupported file type');
+            expect(creatives[2].error).to.include('fixtures/missing.zip');
+            expect(_.map(creatives[3].validationReport.errors, 'rule')).to.eql(['dimensions']);
+            expect(_.some(creatives, 'markup')).to.eql(false);
+            expect(await storage.list('campaign-1/')).to.eql([]);
+        });
+
+        it('should reject creatives with clickthroughs to blocked domains', async () => {
+            const creatives = await uploadCreatives({
+                files: [html5Zip('upload-1')],
+                campaignId: 'campaign-1',
+                processor: getProcessor('html5'),
+                storage,
+                clickthroughBlocklist: ['google.com'],
+                markupOptions,
+            });
+
+            expect(creatives[0].status).to.eql('invalid');
+            expect(_.map(creatives[0].validationReport.errors, 'rule')).to.eql([
+                'clickthrough-blocked-domain',
+            ]);
+            expect(await storage.list('campaign-1/')).to.eql([]);
+        });
+
+        it('should preview each creative on dry runs', async () => {
+            const creatives = await uploadCreatives({
+                files: [html5Zip('upload-1')],
+                campaignId: 'campaign-1',
+                processor: getProcessor('html5'),
+                storage,
+                dimensions: '300x250',
+                dryRun: true,
+                markupOptions,
+            });
+
+            expect(creatives[0].status).to.eql('preview');
+            expect(creatives[0].cdnUrl).to.eql(
+                'https://cdn.example.com/creatives/campaign-1/html5-test-a_upload-1/html5-test-a.html'
+            );
+            expect(_.map(creatives[0].files, 'file')).to.eql([
+                'html5-test-a/html5-test-a.html',
+                'html5-test-a/images/test-image.png',
+            ]);
+            expect(await storage.list('campaign-1/')).to.eql([]);
+        });
+
+        it('should rewrite clickthrough urls with the requested click macro', async () => {
+            const creatives = await uploadCreatives({
+                files: [html5Zip('upload-1')],
+                campaignId: 'campaign-1',
+                processor: getProcessor('html5'),
+                clickMacro: getClickMacro('xandr'),
+                storage,
+                dryRun: true,
+                markupOptions,
+            });
+
+            expect(creatives[0].files[0].diff).to.include(
+                `decodeURIComponent(window.location.href.split('?adserver=')[1]) + 'https://www.google.com'`
+            );
+            expect(creatives[0].markup).to.include('html5-test-a.html?adserver=${CLICK_URL_ENC}"');
+        });
+
+        it('should emit events for each pipeline stage and metrics', async () => {
+            const sink = createInMemorySink();
+
+            await uploadCreatives({
+                files: [html5Zip('upload-1')],
+                campaignId: 'campaign-1',
+                processor: getProcessor('html5'),
+                storage,
+                dimensions: '300x250',
+                markupOptions,
+                telemetry: createTelemetry({ sinks: [sink], context: { campaignId: 'campaign-1' } }),
+            });
+            await uploadCreatives({
+                files: [html5Zip('upload-2')],
+                campaignId: 'campaign-1',
+                processor: getProcessor('html5'),
+                storage,
+                dimensions: '728x90',
+                markupOptions,
+                telemetry: createTelemetry({ sinks: [sink], context: { campaignId: 'campaign-1' } }),
+            });
+
+            const events = sink.getEvents();
+
+            const stages = _.map(events, ({ name, uploadId, outcome }) => {
+                return `${uploadId} ${name} ${outcome}`;
+            });
+
+            expect(stages).to.eql([
+                'upload-1 extract success',
+                'upload-1 validate success',
+                'upload-1 clickthrough-processing success',
+                'upload-1 storage-put success',
+                'upload-1 storage-put success',
+                'upload-1 storage-put success',
+                'upload-1 creative success',
+                'upload-2 extract success',
+                'upload-2 validate invalid',
+                'upload-2 creative invalid',
+            ]);
+            expect(_.every(events, { campaignId: 'campaign-1', exporter: 'html5' })).to.eql(true);
+            expect(_.pick(events[0], ['files', 'bytes'])).to.eql({ files: 2, bytes: 288 });
+            expect(_.pick(events[2], ['file', 'rewrites', 'wrapped'])).to.eql({
+                file: 'html5-test-a/html5-test-a.html',
+                rewrites: 1,
+                wrapped: 0,
+            });
+            const imagePut = _.find(events, {
+                name: 'storage-put',
+                key: 'campaign-1/html5-test-a_upload-1/images/test-image.png',
+            });
+
+            expect(_.pick(imagePut, ['storage', 'bytes', 'status', 'attempts'])).to.eql({
+                storage: 'local',
+                bytes: 72,
+                status: 'uploaded',
+                attempts: 1,
+            });
+            expect(events[8].errors).to.eql(['dimensions']);
+            expect(_.map(sink.getMetrics(), ({ name, tags }) => ({ name, tags }))).to.eql([
+                {
+                    name: 'creative.upload.latency',
+                    tags: { exporter: 'html5', storage: 'local', outcome: 'success' },
+                },
+                { name: 'creative.validation.failure', tags: { exporter: 'html5', rule: 'dimensions' } },
+            ]);
+        });
+
+        it('should upload creatives in background jobs reporting each stage', async () => {
+            const queue = createInProcessJobQueue();
+            const stages = [];
+            const recordingQueue = {
+                ...queue,
+                enqueue: ({ run, ...job }) => {
+                    return queue.enqueue({
+                        ...job,
+                        run: ({ setStage }) => {
+                            return run({
+                                setStage: stage => {
+                                    stages.push(`${job.id} ${stage}`);
+                                    setStage(stage);
+                                },
+                            });
+                        },
+                    });
+                },
+            };
+            let onJobsFinished;
+            const finished = new Promise(resolve => {
+                onJobsFinished = resolve;
+            });
+            const jobs = await enqueueCreativeJobs({
+                queue: recordingQueue,
+                files: [html5Zip('upload-1'), html5Zip('upload-2')],
+                campaignId: 'campaign-1',
+                processor: getProcessor('html5'),
+                storage,
+                dimensions: '300x250',
+                markupOptions,
+                onJobsFinished,
+            });
+
+            expect(_.map(jobs, 'id')).to.eql(['upload-1', 'upload-2']);
+            expect(_.map(jobs, 'stage')).to.eql(['queued', 'queued']);
+
+            await finished;
+            await new Promise(resolve => setImmediate(resolve));
+
+            const job = await queue.getJob('upload-2');
+
+            expect(stages).to.eql([
+                'upload-1 extracting',
+                'upload-1 validating',
+                'upload-1 processing',
+                'upload-1 uploading',
+                'upload-2 extracting',
+                'upload-2 validating',
+                'upload-2 processing',
+                'upload-2 uploading',
+            ]);
+            expect(_.pick(job, ['id', 'campaignId', 'fileBaseName', 'stage'])).to.eql({
+                id: 'upload-2',
+                campaignId: 'campaign-1',
+                fileBaseName: 'html5-test-a',
+                stage: 'done',
+            });
+            expect(job.result.status).to.eql('uploaded');
+            expect(job.result.cdnUrl).to.include('html5-test-a_upload-2/');
+        });
+
+        it('should fail background jobs of invalid creatives with their validation report', async () => {
+            const queue = createInProcessJobQueue();
+
+            await new Promise(resolve => {
+                enqueueCreativeJobs({
+                    queue,
+                    files: [html5Zip('upload-1')],
+                    campaignId: 'campaign-1',
+                    processor: getProcessor('html5'),
+                    storage,
+                    dimensions: '728x90',
+                    markupOptions,
+                    onJobsFinished: resolve,
+                });
+            });
+            await new Promise(resolve => setImmediate(resolve));
+
+            const { stage, error } = await queue.getJob('upload-1');
+
+            expect(stage).to.eql('failed');
+            expect(error.message).to.eql('html5-test-a failed validation');
+            expect(error.code).to.eql('CREATIVE_VALIDATION_FAILED');
+            expect(error.uploadId).to.eql('upload-1');
+            expect(_.map(error.validationReport.errors, 'rule')).to.eql(['dimensions']);
+        });
+
+        it('should make each upload the current version and promote earlier ones', async () => {
+            const creative = { campaignId: 'campaign-1', fileBaseName: 'html5-test-a' };
+
+            for (const [uploadId, uploadedAt] of [
+                ['upload-1', '2024-01-01T00:00:00.000Z'],
+                ['upload-2', '2024-01-02T00:00:00.000Z'],
+            ]) {
+                await uploadCreatives({
+                    files: [html5Zip(uploadId)],
+                    campaignId: 'campaign-1',
+                    processor: getProcessor('html5'),
+                    clickMacro: getClickMacro('gam'),
+                    storage,
+                    dimensions: '300x250',
+                    markupOptions,
+                    _now: () => new Date(uploadedAt),
+                });
+            }
+
+            expect((await listCreativeVersions({ storage, ...creative })).currentUploadId).to.eql(
+                'upload-2'
+            );
+
+            const promoted = await promoteCreative({
+                storage,
+                ...creative,
+                uploadId: 'upload-1',
+                markupOptions: { ...markupOptions, format: 'script' },
+            });
+
+            expect(_.omit(promoted, 'markup')).to.eql({
+                ...creative,
+                uploadId: 'upload-1',
+                cdnUrl: 'https://cdn.example.com/creatives/campaign-1/html5-test-a_upload-1/html5-test-a.html',
+            });
+            expect(promoted.markup).to.include(
+                `iframe.src = "${promoted.cdnUrl}?adserver=%%CLICK_URL_ESC%%";`
+            );
+            expect((await listCreativeVersions({ storage, ...creative })).currentUploadId).to.eql(
+                'upload-1'
+            );
+        });
+    });
+
+    describe('startCreativeUploads', () => {
+        afterEach(() => {
+            stopWorkspaceSweeper();
+        });
+
+        it('should start the workspace sweeper once', () => {
+            const _configs = { get: sinon.stub().returns(undefined) };
+            const sweeper = startCreativeUploads({ _configs });
+
+            expect(sweeper).to.not.eql(undefined);
+            expect(startCreativeUploads({ _configs })).to.equal(sweeper);
+        });
+
+        it('should register the click macros of the config', () => {
+            const _configs = { get: sinon.stub() };
+            _configs.get.withArgs('creatives.clickMacros').returns({
+                dv360: { queryParam: 'click', clickUrlMacro: '${CLICK_URL}' },
+            });
+
+            startCreativeUploads({ _configs });
+
+            expect(_.pick(getClickMacro('dv360'), ['name', 'queryParam', 'clickUrlMacro'])).to.eql({
+                name: 'dv360',
+                queryParam: 'click',
+                clickUrlMacro: '${CLICK_URL}',
+            });
+        });
+
+        it('should reject invalid click macros of the config', () => {
+            const _configs = { get: sinon.stub() };
+            _configs.get.withArgs('creatives.clickMacros').returns({ bad: { queryParam: `x')//` } });
+
+            expect(() => startCreativeUploads({ _configs })).to.throw(TypeError);
+        });
+    });
+
+    describe('listCampaignCreativesHandler', () => {
+        let workspace;
+
+        beforeEach(() => {
+            workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'creatives-handler-'));
+        });
+
+        afterEach(() => {
+            delete global.configs;
+            fs.rmSync(workspace, { recursive: true, force: true });
+        });
+
+        it('should report failing storage as a storage failure', async () => {
+            const storageFile = path.join(workspace, 'storage');
+            fs.writeFileSync(storageFile, '');
+            global.configs = {
+                get: key => (key === 'creatives.localStorageDirectory' ? storageFile : undefined),
+            };
+            const next = sinon.stub();
+
+            await listCampaignCreativesHandler(
+                {},
+                { locals: { flags: {}, campaign: { id: 'campaign-1' } } },
+                next
+            );
+
+            const [error] = next.firstCall.args;
+
+            expect(_.pick(error, ['status', 'code'])).to.eql({ status: 502, code: 'STORAGE_FAILURE' });
+            expect(error.toJSON()).to.eql({
+                code: 'STORAGE_FAILURE',
+                message: 'local storage list failed',
+                details: {},
+            });
+        });
     });
 });
\ No newline at end of file
@@ -1,127 +1,410 @@
 import _ from 'lodash';
 
+import fs from 'fs';
 import path from 'path';
 import { AWS, Storage } from './mock.js';
 import VError from 'verror';
 import mime from 'mime-types';
-import { v1 as uuid } from 'uuid';
+import { v4 as uuid } from 'uuid';
+import { createTwoFilesPatch } from 'diff';
+
+import { createZipSource } from './archive.js';
+import {
+	DEFAULT_CLICK_MACRO,
+	createQueryParamClickMacro,
+	getClickMacro,
+	getClickMacroNames,
+	registerClickMacro,
+} from './clickMacros.js';
+import { checkClickthroughPolicy } from './clickthroughPolicy.js';
+import { getCreativeKeyPrefix, getManifestKey } from './creativeKeys.js';
+import { deleteCreative, listCampaignCreatives } from './creatives.js';
+import {
+	findStoredContent,
+	hashContent,
+	hashStream,
+	indexStoredContent,
+} from './deduplication.js';
+import { checkDimensions, getCreativeSize, parseDimensions } from './dimensions.js';
+import {
+	CREATIVE_VALIDATION_ERROR,
+	ERROR_TYPES,
+	SECURITY_VIOLATION_ERROR,
+	UserError,
+	createErrorFromCode,
+	getErrorType,
+	toHttpError,
+} from './errors.js';
+import { createDirectorySource, isScriptFile, isTextFile, toRelativePath } from './files.js';
+import { createManifest } from './manifest.js';
+import { DEFAULT_MARKUP_FORMAT, MARKUP_FORMATS, getGeneratedMarkup } from './markup.js';
+import {
+	EXTRACTING,
+	PROCESSING,
+	UPLOADING,
+	VALIDATING,
+	createInProcessJobQueue,
+} from './jobs.js';
+import { getProcessor, getProcessorNames } from './processors/index.js';
+import { mapWithConcurrency, retry } from './promises.js';
+import { isHtmlFile, resolveRootHtmlFile } from './rootHtml.js';
+import { isReadableStream } from './streams.js';
+import {
+	FAILURE,
+	INVALID,
+	NOOP_TELEMETRY,
+	SUCCESS,
+	createTelemetry,
+	getTelemetrySinks,
+} from './telemetry.js';
+import {
+	createFanOutStorage,
+	createGCSStorage,
+	createLocalStorage,
+	createS3Storage,
+	createUploadTransaction,
+	isTransientStorageError,
+	wrapStorageErrors,
+} from './storage/index.js';
+import {
+	listCreativeVersions,
+	promoteCreativeVersion,
+	pruneCreativeVersions,
+	setCurrentVersion,
+} from './versions.js';
+import {
+	createValidationReport,
+	mergeValidationReports,
+	validationError,
+	validationWarning,
+} from './validation.js';
+import { createWorkspace, startWorkspaceSweeper } from './workspace.js';
 
-const TEMP_DIRECTORY = '../../../../../tmp/';
-const UPLOAD_DIRECTORY = '../../../../../tmp/rich-media-markup-uploads';
-const EXTRACT_DIRECTORY = '../../../../../tmp/rich-media-markup-extracted';
 const ONE_HUNDRED_MEGABYTES = 100 * 1024 * 1024;
 
 const S3_KEY = 's3.key';
 const S3_SECRET = 's3.secret';
 const S3_CREATIVES_BUCKET = 's3.creatives.bucket';
 const S3_ACCESS_CONTROL_LIST = 'public-read';
-const __dirname = '';
 const s3 = new AWS.S3({
 	accessKeyId: S3_KEY,
 	secretAccessKey: S3_SECRET,
 });
-const storage = new Storage();
+const gcs = new Storage();
 const GCS_CREATIVE_BUCKET_NAME = 'gcs.creatives.bucketName';
+const CREATIVES_UPLOAD_TO_GCS = 'creatives.uploadToGCS';
+const CREATIVES_LOCAL_STORAGE_DIRECTORY = 'creatives.localStorageDirectory';
+const CREATIVES_UPLOAD_CONCURRENCY = 'creatives.uploadConcurrency';
+const CREATIVES_UPLOAD_RETRIES = 'creatives.uploadRetries';
+const CREATIVES_CONTENT_ADDRESSED_UPLOADS = 'creatives.contentAddressedUploads';
+const DEFAULT_UPLOAD_CONCURRENCY = 5;
+const DEFAULT_UPLOAD_RETRIES = 3;
+const DEFAULT_UPLOAD_RETRY_DELAY = 200;
+const PREPARE_CONCURRENCY = 4;
+const DEFAULT_EXPORTER = 'gwd';
+const CREATIVE_DIMENSIONS_TOLERANCE = 'creatives.dimensionsTolerance';
+const CREATIVES_WORKSPACE_MAX_AGE = 'creatives.workspaceMaxAge';
+const CREATIVES_ARCHIVE_LIMITS = 'creatives.archiveLimits';
+const CREATIVES_CLICKTHROUGH_BLOCKLIST = 'creatives.clickthroughBlocklist';
+const CREATIVES_CDN_BASE_URL = 'creatives.cdnBaseUrl';
+const CREATIVES_CLICK_URL_PLACEHOLDER = 'creatives.clickUrlPlaceholder';
+const CREATIVES_CLICK_MACROS = 'creatives.clickMacros';
+const CREATIVES_VERSION_RETENTION = 'creatives.versionRetention';
+const CREATIVES_JOB_CONCURRENCY = 'creatives.jobConcurrency';
+const CREATIVES_JOB_RETENTION = 'creatives.jobRetention';
+
+let jobQueue;
+
+// called once when the server starts, before the creative upload routes are mounted; the click
+// macros config maps the names of extra click macros to their { queryParam, clickUrlMacro }
+export const startCreativeUploads = ({ _configs = configs } = {}) => {
+	_.each(_configs.get(CREATIVES_CLICK_MACROS), ({ queryParam, clickUrlMacro }, name) => {
+		registerClickMacro(createQueryParamClickMacro(name, queryParam, clickUrlMacro));
+	});
 
-async function handler(req, res, next) {
-	const { flags } = res.locals;
-	const { id: campaignId } = res.locals.campaign;
+	return startWorkspaceSweeper(
+		_.omitBy({ maxAge: _configs.get(CREATIVES_WORKSPACE_MAX_AGE) }, _.isNil)
+	);
+};
 
-	persistTempFolders();
+async function handler(req, res, next) {
+	const { flags, user } = res.locals;
+	const { id: campaignId, clickMacro: campaignClickMacro } = res.locals.campaign;
+	const dryRun = _.get(req, 'query.dryRun') === 'true';
+	const runInBackground = _.get(req, 'query.async') === 'true';
+	let workspaceInUse = false;
 
 	const form = new formidable.IncomingForm();
 	const filesInfo = [];
-	let zipFileBaseName;
-	let uploadId = uuid.v4();
-
-	form.maxFileSize = ONE_HUNDRED_MEGABYTES;
-	form.keepExtensions = true;
-	form.multiples = true;
-	form.uploadDir = UPLOAD_DIRECTORY;
-
-	form.on('fileBegin', function (name, file) {
-		const fileBaseName = path.basename(file.name, path.extname(file.name));
-		const fileExtension = path.extname(file.name);
-		const filePath = path.join(
-			UPLOAD_DIRECTORY,
-			`${fileBaseName}_${new Date().getTime()}${fileExtension}`
-		);
-		const destinationDirectory = path.join(EXTRACT_DIRECTORY, fileBaseName);
+	const batchId = uuid();
+	const telemetry = createTelemetry({
+		sinks: getTelemetrySinks(),
+		context: { campaignId, batchId },
+	});
+	let workspace;
 
-		filesInfo.push({
-			fileBaseName,
-			fileExtension,
-			filePath,
-			destinationDirectory,
-		});
+	try {
+		workspace = await createWorkspace(batchId);
+
+		form.maxFileSize = ONE_HUNDRED_MEGABYTES;
+		form.keepExtensions = true;
+		form.multiples = true;
+		form.uploadDir = workspace.directory;
+
+		form.on('fileBegin', function (name, file) {
+			const fileBaseName = path.basename(file.name, path.extname(file.name));
+			const fileExtension = path.extname(file.name);
+			const filePath = path.join(
+				workspace.directory,
+				`${fileBaseName}_${filesInfo.length}${fileExtension}`
+			);
 
-		if (!zipFileBaseName) {
-			zipFileBaseName = fileBaseName;
-		}
+			filesInfo.push({
+				fileBaseName,
+				fileExtension,
+				filePath,
+				uploadId: uuid(),
+			});
 
-		file.path = filePath;
-	});
+			file.path = filePath;
+		});
 
-	try {
-		const { fields, files } = await parseFilesFromForm(form, req);
-		const { dimensions, exporter } = fields;
+		const { fields, files } = await telemetry.measure(
+			'form-parse',
+			() => parseFilesFromForm(form, req),
+			({ files: parsedFiles }) => ({
+				files: filesInfo.length,
+				bytes: _.sumBy(_.flatten(_.values(parsedFiles)), 'size'),
+			})
+		);
+		const {
+			dimensions,
+			exporter = DEFAULT_EXPORTER,
+			clickMacro: clickMacroName = campaignClickMacro || DEFAULT_CLICK_MACRO,
+			markupFormat = DEFAULT_MARKUP_FORMAT,
+		} = fields;
 
 		if (_.keys(files).length === 0) {
-			return next(UserError.validationError('no files uploaded'));
+			throw UserError.validationError('no files uploaded');
 		}
 
-		const validFiles = _.every(filesInfo, ['fileExtension', '.zip']);
+		const processor = getProcessor(exporter);
 
-		if (!validFiles) {
-			return next(UserError.validationError('unsupported file type'));
+		if (!processor) {
+			throw UserError.validationError(
+				`unsupported exporter '${exporter}', expected one of: ${getProcessorNames().join(', ')}`
+			);
 		}
 
-		let s3UploadResults = {};
+		const clickMacro = getClickMacro(clickMacroName);
 
-		await extractFiles(filesInfo);
+		if (!clickMacro) {
+			throw UserError.validationError(
+				`unsupported click macro '${clickMacroName}', expected one of: ${getClickMacroNames().join(', ')}`
+			);
+		}
 
-		for (const file of filesInfo) {
-			const { destinationDirectory: directoryToUpload, fileBaseName } = file;
+		if (!_.includes(MARKUP_FORMATS, markupFormat)) {
+			throw UserError.validationError(
+				`unsupported markup format '${markupFormat}', expected one of: ${MARKUP_FORMATS.join(', ')}`
+			);
+		}
 
-			await validateFile({ directoryToUpload, fileBaseName, exporter });
+		const options = {
+			campaignId,
+			processor,
+			clickMacro,
+			storage: getCreativeStorage(flags),
+			dimensions,
+			dryRun,
+			archiveLimits: configs.get(CREATIVES_ARCHIVE_LIMITS),
+			dimensionsTolerance: configs.get(CREATIVE_DIMENSIONS_TOLERANCE),
+			clickthroughBlocklist: configs.get(CREATIVES_CLICKTHROUGH_BLOCKLIST),
+			uploadedBy: _.pick(user, ['id', 'email']),
+			markupOptions: getMarkupOptions(markupFormat),
+			telemetry,
+			uploadOptions: {
+				concurrency: configs.get(CREATIVES_UPLOAD_CONCURRENCY),
+				retries: configs.get(CREATIVES_UPLOAD_RETRIES),
+				contentAddressed: configs.get(CREATIVES_CONTENT_ADDRESSED_UPLOADS),
+			},
+		};
 
-			s3UploadResults = await uploadDirectoryToS3({
+		if (runInBackground) {
+			const jobs = await enqueueCreativeJobs({
+				queue: getJobQueue(),
+				files: filesInfo,
+				onJobsFinished: workspace.remove,
+				...options,
+			});
+
+			workspaceInUse = true;
+
+			return next({
+				async: true,
+				dryRun,
 				campaignId,
-				directoryToUpload,
-				fileBaseName,
-				uploadId,
-				exporter,
-				flags,
+				batchId,
+				clickMacro: clickMacroName,
+				jobs: _.map(jobs, job => _.pick(job, ['id', 'fileBaseName', 'stage'])),
 			});
+		}
+
+		const creatives = await uploadCreatives({ files: filesInfo, ...options });
+
+		if (!dryRun && _.every(creatives, isFailedCreative)) {
+			throw toBatchError(creatives);
+		}
+
+		return next({ dryRun, campaignId, batchId, clickMacro: clickMacroName, creatives });
+	} catch (error) {
+		telemetry.event('upload-request', { outcome: FAILURE, error: error.message });
 
-			removeTempFolders();
+		return next(toHttpError(error));
+	} finally {
+		if (workspace && !workspaceInUse) {
+			await workspace.remove();
 		}
+	}
+}
 
-		const rootHtmlFile = _.find(s3UploadResults, ({ Key }) => {
-			return _.includes(Key, '.html');
-		}).Key;
-		const rootHtmlFileBaseName = _.last(rootHtmlFile.split('/')).split('.html')[0];
+export async function getCreativeJobHandler(req, res, next) {
+	const { id: campaignId } = res.locals.campaign;
+	const { jobId } = req.params;
 
-		const { cdnUrl, markup } = getGeneratedMarkup({
-			exporter,
-			zipFileBaseName,
-			rootHtmlFileBaseName,
-			campaignId,
-			dimensions,
-			uploadId,
-		});
+	try {
+		const job = await getJobQueue().getJob(jobId);
+
+		if (!job || job.campaignId !== campaignId) {
+			throw UserError.notFound(`unknown job '${jobId}'`);
+		}
+
+		return next(job);
+	} catch (error) {
+		return next(toHttpError(error));
+	}
+}
+
+export async function listCampaignCreativesHandler(req, res, next) {
+	const { flags } = res.locals;
+	const { id: campaignId } = res.locals.campaign;
 
-		return next({ s3UploadResults, filesInfo, cdnUrl, markup, zipFileBaseName, campaignId });
+	try {
+		return next(await listCampaignCreatives({ storage: getCreativeStorage(flags), campaignId }));
+	} catch (error) {
+		return next(toHttpError(error));
+	}
+}
+
+export async function deleteCreativeHandler(req, res, next) {
+	const { flags } = res.locals;
+	const { id: campaignId } = res.locals.campaign;
+	const { fileBaseName } = req.params;
+
+	try {
+		return next(
+			await deleteCreative({ storage: getCreativeStorage(flags), campaignId, fileBaseName })
+		);
+	} catch (error) {
+		return next(toHttpError(error));
+	}
+}
+
+export async function listCreativeVersionsHandler(req, res, next) {
+	const { flags } = res.locals;
+	const { id: campaignId } = res.locals.campaign;
+	const { fileBaseName } = req.params;
+
+	try {
+		return next(
+			await listCreativeVersions({ storage: getCreativeStorage(flags), campaignId, fileBaseName })
+		);
 	} catch (error) {
-		return next(ServerError.unknownError(error));
+		return next(toHttpError(error));
 	}
 }
 
+export async function promoteCreativeVersionHandler(req, res, next) {
+	const { flags, user } = res.locals;
+	const { id: campaignId } = res.locals.campaign;
+	const { fileBaseName, uploadId } = req.params;
+	const markupFormat = _.get(req, 'query.markupFormat', DEFAULT_MARKUP_FORMAT);
+
+	try {
+		if (!_.includes(MARKUP_FORMATS, markupFormat)) {
+			throw UserError.validationError(
+				`unsupported markup format '${markupFormat}', expected one of: ${MARKUP_FORMATS.join(', ')}`
+			);
+		}
+
+		return next(
+			await promoteCreative({
+				storage: getCreativeStorage(flags),
+				campaignId,
+				fileBaseName,
+				uploadId,
+				promotedBy: _.pick(user, ['id', 'email']),
+				markupOptions: getMarkupOptions(markupFormat),
+			})
+		);
+	} catch (error) {
+		return next(toHttpError(error));
+	}
+}
+
+export async function pruneCreativeVersionsHandler(req, res, next) {
+	const { flags } = res.locals;
+	const { id: campaignId } = res.locals.campaign;
+	const { fileBaseName } = req.params;
+
+	try {
+		return next(
+			await pruneCreativeVersions({
+				storage: getCreativeStorage(flags),
+				campaignId,
+				fileBaseName,
+				retention: configs.get(CREATIVES_VERSION_RETENTION),
+				dryRun: _.get(req, 'query.dryRun') === 'true',
+			})
+		);
+	} catch (error) {
+		return next(toHttpError(error));
+	}
+}
+
+const getJobQueue = () => {
+	if (!jobQueue) {
+		jobQueue = createInProcessJobQueue(
+			_.omitBy(
+				{
+					concurrency: configs.get(CREATIVES_JOB_CONCURRENCY),
+					retention: configs.get(CREATIVES_JOB_RETENTION),
+				},
+				_.isNil
+			)
+		);
+	}
+
+	return jobQueue;
+};
+
+const getMarkupOptions = format => {
+	return {
+		format,
+		cdnBaseUrl: configs.get(CREATIVES_CDN_BASE_URL),
+		clickUrlPlaceholder: configs.get(CREATIVES_CLICK_URL_PLACEHOLDER),
+	};
+};
+
 const parseFilesFromForm = (form, req) => {
 	return new Promise((resolve, reject) => {
 		form.parse(req, (error, fields, files) => {
 			if (error) {
-				reject(error);
+				reject(
+					error.httpCode === 413
+						? UserError.payloadTooLarge('uploaded file is too large', { cause: error })
+						: UserError.validationError('upload form could not be parsed', { cause: error })
+				);
 				return;
 			}
 
@@ -129,7 +412,7 @@ const parseFilesFromForm = (form, req) => {
 			const { error: validationError } = schema.validate(fields);
 
 			if (validationError) {
-				reject(validationError);
+				reject(UserError.validationError(validationError.message, { cause: validationError }));
 				return;
 			}
 
@@ -138,303 +421,735 @@ const parseFilesFromForm = (form, req) => {
 	});
 };
 
-const persistTempFolders = () => {
-	if (!fs.existsSync(TEMP_DIRECTORY)) {
-		fs.mkdirSync(TEMP_DIRECTORY);
-	}
+const validateFile = async ({
+	fileBaseName,
+	source,
+	processor,
+	dimensions,
+	dimensionsTolerance,
+	clickthroughBlocklist,
+}) => {
+	const sourceOptions = {
+		fileBaseName,
+		directoryToUpload: source.directoryPath,
+		_getFiles: source.getFiles,
+		_readRootHtmlFile: filePath => source.readFile(filePath, 'utf8'),
+	};
+	const report = await processor.validate(sourceOptions);
+	const detectedSize = report.size
+		? { ...report.size, source: `${processor.name} validator` }
+		: await getCreativeSize(sourceOptions);
+	const declaredSize = parseDimensions(dimensions);
+	const { error, warning } = checkDimensions({
+		declared: declaredSize,
+		detected: detectedSize,
+		tolerance: dimensionsTolerance,
+	});
+	const dimensionIssues = _.compact([
+		error && validationError('dimensions', error),
+		warning && validationWarning('dimensions', warning),
+		!declaredSize &&
+			!detectedSize &&
+			validationError(
+				'dimensions',
+				'Creative size could not be detected, dimensions must be provided'
+			),
+	]);
+	const clickthroughs = await extractClickthroughs({ source, fileBaseName, processor });
+	const clickthroughIssues = checkClickthroughPolicy({
+		clickthroughs,
+		blockedDomains: clickthroughBlocklist,
+	});
 
-	if (!fs.existsSync(UPLOAD_DIRECTORY)) {
-		fs.mkdirSync(UPLOAD_DIRECTORY);
-	}
+	return mergeValidationReports(
+		report,
+		createValidationReport([...dimensionIssues, ...clickthroughIssues], {
+			clickthroughs,
+			dimensions: { declared: declaredSize, detected: detectedSize },
+		})
+	);
+};
 
-	if (!fs.existsSync(EXTRACT_DIRECTORY)) {
-		fs.mkdirSync(EXTRACT_DIRECTORY);
-	}
+const getS3UploadKey = ({ filePath, rootDirectory, ...creative }) => {
+	return `${getCreativeKeyPrefix(creative)}${toRelativePath(rootDirectory, filePath)}`;
 };
 
-const extractFiles = async filesInfo => {
-	for (const file of filesInfo) {
-		const { filePath, destinationDirectory } = file;
-		try {
-			await new Promise((resolve, reject) => {
-				extract(filePath, { dir: `${destinationDirectory}` }, error => {
-					if (error) {
-						reject(error);
-					} else {
-						resolve();
-					}
-				});
-			});
-		} catch (error) {
-			throw new VError(error, `failed to extract ${filePath}`);
-		}
-	}
+const resolveCreativeFiles = async ({ source, fileBaseName }) => {
+	const files = await source.getFiles(source.directoryPath);
+	const resolution = resolveRootHtmlFile({
+		files,
+		directoryPath: source.directoryPath,
+		fileBaseName,
+	});
+
+	return {
+		...resolution,
+		files: _.filter(files, filePath => _.startsWith(filePath, `${resolution.rootDirectory}/`)),
+	};
 };
 
-const validateFile = async ({ fileBaseName, directoryToUpload, exporter }) => {
-	switch (exporter) {
-		case 'gwd':
-			await validateGWDZipFile({ fileBaseName, directoryToUpload });
-			break;
-		case 'conversio':
-			await validateConversioZipFile({ fileBaseName, directoryToUpload });
-			break;
-		default:
-			await validateGWDZipFile({ fileBaseName, directoryToUpload });
+const getClickthroughRewriter = (processor, filePath) => {
+	if (isHtmlFile(filePath)) {
+		return processor.processHtml;
 	}
+
+	return isScriptFile(filePath) ? processor.processScript : undefined;
 };
 
-export const validateGWDZipFile = async ({
-	// fileBaseName,
-	directoryToUpload,
-	_getFiles = getFiles,
-	_readRootHtmlFile = readRootHtmlFile,
-} = {}) => {
-	const files = await _getFiles(path.resolve(__dirname, directoryToUpload));
+const extractClickthroughs = async ({ source, fileBaseName, processor }) => {
+	const { files } = await resolveCreativeFiles({ source, fileBaseName });
 
-	const rootHtmlFile = _.find(files, file => _.includes(file, '.html'));
+	return _.flatMap(files, filePath => {
+		const rewriteClickthroughUrls = getClickthroughRewriter(processor, filePath);
 
-	if (!rootHtmlFile) {
-		throw new VError('Zip file does not contain a root .html file');
-	}
+		if (!rewriteClickthroughUrls) {
+			return [];
+		}
 
-	/*
-	const rootHtmlFileBaseName = _(rootHtmlFile)
-			.replace(`${EXTRACT_DIRECTORY}/${fileBaseName}/`, '')
-			.split('.html')[0]
-			.split('/')[0];
+		const { rewrites, wrapped } = rewriteClickthroughUrls(source.readFile(filePath, 'utf8'));
+		const file = toRelativePath(source.directoryPath, filePath);
 
-	if (!_.includes(fileBaseName, rootHtmlFileBaseName)) {
-			throw new VError(
-					`Zip file name '${fileBaseName}' does not contain basename '${rootHtmlFileBaseName}'`
-			);
-	}
-	*/
+		return _.map(
+			_.sortBy([...rewrites, ...wrapped], ['line', 'column']),
+			({ kind, name, url, line, column }) => ({ name, url, kind, file, line, column })
+		);
+	});
+};
 
-	const rootHtmlString = _readRootHtmlFile(rootHtmlFile);
+const prepareFilesForUpload = async ({
+	campaignId,
+	source,
+	fileBaseName,
+	uploadId,
+	processor,
+	clickMacro,
+	telemetry = NOOP_TELEMETRY,
+}) => {
+	const { files, rootDirectory } = await resolveCreativeFiles({ source, fileBaseName });
 
-	if (rootHtmlString.length < 1) {
-		throw new VError('Root .html file is missing content');
-	}
+	return mapWithConcurrency(files, PREPARE_CONCURRENCY, async filePath => {
+		const Key = getS3UploadKey({
+			filePath,
+			rootDirectory,
+			campaignId,
+			fileBaseName,
+			uploadId,
+		});
+		const ContentType = mime.lookup(filePath) || 'application/octet-stream';
+		const rewriteClickthroughUrls = getClickthroughRewriter(processor, filePath);
+
+		if (rewriteClickthroughUrls) {
+			const original = source.readFile(filePath, 'utf8');
+			const { output: Body, rewrites, wrapped, warnings } = await telemetry.measure(
+				'clickthrough-processing',
+				() => rewriteClickthroughUrls(original, { clickMacro }),
+				result => ({
+					file: toRelativePath(source.directoryPath, filePath),
+					bytes: Buffer.byteLength(original),
+					rewrites: result.rewrites.length,
+					wrapped: result.wrapped.length,
+					warnings: result.warnings.length,
+				})
+			);
 
-	const containsGWDMeta = _.includes(
-		rootHtmlString,
-		'name="generator" content="Google Web Designer'
-	);
+			return {
+				filePath,
+				Key,
+				ContentType,
+				ContentLength: Buffer.byteLength(Body),
+				Body,
+				hash: hashContent(Body),
+				original,
+				rewrites,
+				wrapped,
+				warnings,
+			};
+		}
 
-	if (!containsGWDMeta) {
-		throw new VError('Root .html file does not contain Google Web Designer metadata');
-	}
+		if (isTextFile(filePath)) {
+			const Body = source.readFile(filePath);
 
-	const hasAssets = _.filter(files, file => _.includes(file, 'assets/')).length > 0;
-	const linksAssets = _.includes(rootHtmlString, 'src="assets/');
+			return {
+				filePath,
+				Key,
+				ContentType,
+				ContentLength: Body.length,
+				Body,
+				hash: hashContent(Body),
+			};
+		}
 
-	if (linksAssets && !hasAssets) {
-		throw new VError('Zip file is missing assets folder for linked assets');
-	}
+		return {
+			filePath,
+			Key,
+			ContentType,
+			ContentLength: source.getSize(filePath),
+			openBody: () => source.createReadStream(filePath),
+			hash: await hashStream(await source.createReadStream(filePath)),
+		};
+	});
+};
 
-	return true;
+const prepareJsonFileForUpload = ({ Key, data }) => {
+	const Body = `${JSON.stringify(data, null, 2)}\n`;
+
+	return {
+		filePath: path.posix.basename(Key),
+		Key,
+		ContentType: 'application/json',
+		ContentLength: Buffer.byteLength(Body),
+		Body,
+		hash: hashContent(Body),
+	};
 };
 
-export const validateConversioZipFile = async ({
-	fileBaseName,
+export const previewDirectoryUpload = async ({
 	directoryToUpload,
-	_getFiles = getFiles,
-	_readRootHtmlFile = readRootHtmlFile,
-} = {}) => {
-	const files = await _getFiles(path.resolve(__dirname, directoryToUpload));
+	source = createDirectorySource(directoryToUpload),
+	...options
+}) => {
+	const filesToUpload = await prepareFilesForUpload({ source, ...options });
 
-	const rootHtmlFile = _.find(files, file => _.includes(file, '.html'));
+	return _.map(filesToUpload, ({ filePath, Key, ContentType, Body, original, ...details }) => {
+		const file = toRelativePath(source.directoryPath, filePath);
+		const preview = { file, Key, ContentType };
+
+		if (original !== undefined) {
+			preview.diff = createTwoFilesPatch(file, file, original, Body, 'original', 'processed');
+			_.assign(preview, _.pick(details, ['rewrites', 'wrapped', 'warnings']));
+		}
+
+		return preview;
+	});
+};
+
+// The index only speeds up later uploads, a failure to update it does not fail this one
+const indexUploadedContent = ({ storage, campaignId, files, results }) => {
+	const uploadedFiles = _.filter(files, (file, index) => {
+		return file.contentAddressed && results[index].status === 'uploaded';
+	});
+
+	return mapWithConcurrency(uploadedFiles, PREPARE_CONCURRENCY, ({ Key, hash }) => {
+		return indexStoredContent({ storage, campaignId, hash, key: Key }).catch(_.noop);
+	});
+};
 
-	if (!rootHtmlFile) {
-		throw new VError('Zip file does not contain a root .html file');
+export const uploadDirectoryToStorage = async ({
+	campaignId,
+	directoryToUpload,
+	source = createDirectorySource(directoryToUpload),
+	fileBaseName,
+	uploadId,
+	processor,
+	clickMacro,
+	storage,
+	concurrency = DEFAULT_UPLOAD_CONCURRENCY,
+	retries = DEFAULT_UPLOAD_RETRIES,
+	retryDelay = DEFAULT_UPLOAD_RETRY_DELAY,
+	contentAddressed = false,
+	manifest,
+	onStage = _.noop,
+	telemetry = NOOP_TELEMETRY,
+}) => {
+	const preparedFiles = await prepareFilesForUpload({
+		campaignId,
+		source,
+		fileBaseName,
+		uploadId,
+		processor,
+		clickMacro,
+		telemetry,
+	});
+	const filesToUpload = contentAddressed
+		? _.map(preparedFiles, file => ({ ...file, contentAddressed: true }))
+		: preparedFiles;
+
+	if (manifest) {
+		const files = _.map(filesToUpload, file => ({
+			...file,
+			file: toRelativePath(source.directoryPath, file.filePath),
+		}));
+
+		filesToUpload.push(
+			prepareJsonFileForUpload({
+				Key: getManifestKey({ campaignId, fileBaseName, uploadId }),
+				data: createManifest({ ...manifest, files }),
+			})
+		);
 	}
 
-	const rootHtmlFileBaseName = _(rootHtmlFile)
-		.replace(`${EXTRACT_DIRECTORY}/${fileBaseName}/`, '')
-		.split('.html')[0]
-		.split('/')[0];
+	const transaction = createUploadTransaction(storage);
+
+	onStage(UPLOADING);
+
+	const putFile = async ({ filePath, Key, Body, ContentType, ContentLength, hash, ...file }) => {
+		const startTime = Date.now();
+		const details = _.pick(file, ['rewrites']);
+		let attempts = 0;
+
+		const storedKey =
+			file.contentAddressed && (await findStoredContent({ storage, campaignId, hash }));
+
+		try {
+			await retry(
+				async attempt => {
+					attempts = attempt;
+
+					if (storedKey) {
+						return transaction.copy({ sourceKey: storedKey, key: Key });
+					}
+
+					const body = Body !== undefined ? Body : await file.openBody();
+
+					try {
+						return await transaction.put({
+							key: Key,
+							body,
+							contentType: ContentType,
+							contentLength: ContentLength,
+						});
+					} finally {
+						if (isReadableStream(body)) {
+							body.destroy();
+						}
+					}
+				},
+				{ retries, delay: retryDelay, shouldRetry: isTransientStorageError }
+			);
+		} catch (error) {
+			throw new VError({ cause: error, info: { filePath, attempts } }, 'upload failed');
+		}
+
+		return {
+			Key,
+			hash,
+			status: storedKey ? 'reused' : 'uploaded',
+			durationMs: Date.now() - startTime,
+			attempts,
+			...details,
+		};
+	};
+
+	const uploadFile = async file => {
+		const startTime = Date.now();
+		const putEvent = { storage: storage.name, key: file.Key, bytes: file.ContentLength };
+
+		try {
+			const result = await putFile(file);
+
+			telemetry.event('storage-put', {
+				...putEvent,
+				outcome: SUCCESS,
+				..._.pick(result, ['status', 'attempts', 'durationMs']),
+			});
+
+			return result;
+		} catch (error) {
+			telemetry.event('storage-put', {
+				...putEvent,
+				outcome: FAILURE,
+				attempts: VError.info(error).attempts,
+				durationMs: Date.now() - startTime,
+				error: VError.cause(error).message,
+			});
+
+			throw error;
+		}
+	};
+
+	const startTime = Date.now();
+	const recordLatency = outcome => {
+		telemetry.metric('creative.upload.latency', Date.now() - startTime, {
+			exporter: _.get(processor, 'name'),
+			storage: storage.name,
+			outcome,
+		});
+	};
+
+	try {
+		const results = await mapWithConcurrency(filesToUpload, concurrency, uploadFile);
+
+		await indexUploadedContent({ storage, campaignId, files: filesToUpload, results });
+		recordLatency(SUCCESS);
+
+		return results;
+	} catch (error) {
+		const { filePath, attempts } = VError.info(error);
+		const { rolledBack, rollbackFailures } = await transaction.rollback();
+
+		recordLatency(FAILURE);
 
-	if (!_.includes(fileBaseName, rootHtmlFileBaseName)) {
 		throw new VError(
-			`Zip file name '${fileBaseName}' does not contain basename '${rootHtmlFileBaseName}'`
+			{
+				name: 'UploadRolledBackError',
+				cause: VError.cause(error),
+				info: { filePath, attempts, rolledBack, rollbackFailures },
+			},
+			'failed to upload %s to %s, rolled back %d object(s)',
+			filePath,
+			storage.name,
+			rolledBack.length
 		);
 	}
+};
 
-	const rootHtmlString = _readRootHtmlFile(rootHtmlFile);
+const openCreativeSource = async ({ filePath, archiveLimits }) => {
+	try {
+		return { source: await createZipSource(filePath, { limits: archiveLimits }) };
+	} catch (error) {
+		const securityError = VError.findCauseByName(error, SECURITY_VIOLATION_ERROR);
 
-	if (rootHtmlString.length < 1) {
-		throw new VError('Root .html file is missing content');
-	}
+		if (!securityError) {
+			throw error;
+		}
 
-	return true;
+		return { error: securityError, validationReport: VError.info(securityError).validationReport };
+	}
 };
 
-const getFiles = directoryPath => {
-	return fs.existsSync(directoryPath) ? readdir(directoryPath) : [];
+const generateCreativeMarkup = async ({
+	creative,
+	source,
+	validationReport,
+	clickMacro = getClickMacro(DEFAULT_CLICK_MACRO),
+	markupOptions,
+}) => {
+	const { rootHtmlFile, rootDirectory } = await resolveCreativeFiles({ source, ...creative });
+	const rootHtmlKey = getS3UploadKey({ filePath: rootHtmlFile, rootDirectory, ...creative });
+	const { declared, detected } = validationReport.dimensions;
+
+	return {
+		rootHtmlKey,
+		...getGeneratedMarkup({
+			...markupOptions,
+			rootHtmlKey,
+			size: declared || detected,
+			clickMacro,
+		}),
+	};
 };
 
-const readRootHtmlFile = rootHtmlFile => {
-	return fs.readFileSync(rootHtmlFile, 'utf8');
-};
+// Markup of an uploaded version is generated from its manifest, without reading the creative again
+const generateVersionMarkup = ({ manifest, markupOptions }) => {
+	const { declared, detected } = manifest.dimensions;
 
-const getS3UploadKey = ({ filePath, directoryToUpload, campaignId, fileBaseName, uploadId }) => {
-	const s3DirectoryPath = `${campaignId}/${fileBaseName}_${uploadId}/`;
-	let s3FilePath = filePath.replace(`${directoryToUpload}/`, '');
+	return getGeneratedMarkup({
+		...markupOptions,
+		rootHtmlKey: manifest.rootHtmlKey,
+		size: declared || detected,
+		clickMacro: getClickMacro(manifest.clickMacro),
+	});
+};
 
-	if (_.split(s3FilePath, '/')[0] === fileBaseName) {
-		s3FilePath = s3FilePath.replace(`${fileBaseName}/`, '');
+const reportValidationFailures = ({ telemetry, exporter, validationReport }) => {
+	for (const { rule } of validationReport.errors) {
+		telemetry.metric('creative.validation.failure', 1, { exporter, rule });
 	}
+};
 
-	return `${s3DirectoryPath}${s3FilePath}`;
+const describeValidation = validationReport => {
+	return {
+		outcome: validationReport.valid ? SUCCESS : INVALID,
+		errors: _.map(validationReport.errors, 'rule'),
+		warnings: _.map(validationReport.warnings, 'rule'),
+	};
 };
 
-const uploadDirectoryToS3 = async ({
+const processCreative = async ({
+	file,
 	campaignId,
-	directoryToUpload,
-	fileBaseName,
-	uploadId,
-	exporter,
-	flags,
+	processor,
+	clickMacro,
+	storage,
+	dimensions,
+	dryRun,
+	archiveLimits,
+	dimensionsTolerance,
+	clickthroughBlocklist,
+	uploadedBy,
+	markupOptions,
+	uploadOptions,
+	onStage = _.noop,
+	telemetry,
+	_now = () => new Date(),
 }) => {
-	const filesToUpload = await getFiles(path.resolve(__dirname, directoryToUpload));
+	const { filePath, fileBaseName, fileExtension, uploadId } = file;
+	const creative = { campaignId, fileBaseName, uploadId };
+	const exporter = processor.name;
 
-	const uploadResults = [];
+	if (fileExtension !== '.zip') {
+		const error = UserError.unsupportedFileType('unsupported file type');
 
-	for (const filePath of filesToUpload) {
-		const Key = getS3UploadKey({
-			filePath,
-			directoryToUpload,
-			campaignId,
-			fileBaseName,
-			uploadId,
-		});
-
-		let Body;
+		return { ...creative, status: 'invalid', error: error.message, code: getErrorType(error).code };
+	}
 
-		if (_.includes(filePath, '.html')) {
-			Body = fs.readFileSync(filePath, 'utf8');
+	onStage(EXTRACTING);
 
-			switch (exporter) {
-				case 'gwd':
-					Body = processGWDClickthroughUrls(Body);
-					break;
-				case 'conversio':
-					Body = processConversioClickthroughUrls(Body);
-					break;
-				default:
-					Body = processGWDClickthroughUrls(Body);
+	const { source, error, validationReport: securityReport } = await telemetry.measure(
+		'extract',
+		() => openCreativeSource({ filePath, archiveLimits }),
+		opened => {
+			if (!opened.source) {
+				return describeValidation(opened.validationReport);
 			}
-		} else {
-			Body = fs.readFileSync(filePath);
+
+			const files = opened.source.getFiles();
+
+			return { files: files.length, bytes: _.sumBy(files, opened.source.getSize) };
 		}
+	);
 
-		const Bucket = S3_CREATIVES_BUCKET;
-		const ACL = S3_ACCESS_CONTROL_LIST;
-		const ContentType = mime.lookup(filePath) || 'application/octet-stream';
+	if (!source) {
+		reportValidationFailures({ telemetry, exporter, validationReport: securityReport });
 
-		const params = {
-			Key,
-			Body,
-			Bucket,
-			ACL,
-			ContentType,
+		return {
+			...creative,
+			status: 'invalid',
+			error: error.message,
+			code: getErrorType(error).code,
+			validationReport: securityReport,
 		};
+	}
 
-		try {
-			if (flags.en_2127_upload_into_s3_and_gcs) {
-				if (configs.get('creatives.uploadToGCS')) {
-					await storage.bucket(GCS_CREATIVE_BUCKET_NAME).upload(filePath, {
-						destination: Key,
-					});
-				}
+	try {
+		onStage(VALIDATING);
+
+		const validationReport = await telemetry.measure(
+			'validate',
+			() => {
+				return validateFile({
+					source,
+					fileBaseName,
+					processor,
+					dimensions,
+					dimensionsTolerance,
+					clickthroughBlocklist,
+				});
+			},
+			describeValidation
+		);
+
+		reportValidationFailures({ telemetry, exporter, validationReport });
+
+		onStage(PROCESSING);
+
+		if (dryRun) {
+			const files = await previewDirectoryUpload({
+				campaignId,
+				source,
+				fileBaseName,
+				uploadId,
+				processor,
+				clickMacro,
+				telemetry,
+			});
+
+			if (!validationReport.valid) {
+				return {
+					...creative,
+					status: 'invalid',
+					code: ERROR_TYPES[CREATIVE_VALIDATION_ERROR].code,
+					validationReport,
+					files,
+				};
 			}
-			await uploadObjectToS3(params);
-			uploadResults.push({
-				Key,
+
+			const { cdnUrl, markup } = await generateCreativeMarkup({
+				creative,
+				source,
+				validationReport,
+				clickMacro,
+				markupOptions,
 			});
-		} catch (error) {
-			throw new VError(error, `failed to upload ${filePath} to s3`);
+
+			return { ...creative, status: 'preview', validationReport, files, cdnUrl, markup };
 		}
+
+		if (!validationReport.valid) {
+			return {
+				...creative,
+				status: 'invalid',
+				error: `${fileBaseName} failed validation`,
+				code: ERROR_TYPES[CREATIVE_VALIDATION_ERROR].code,
+				validationReport,
+			};
+		}
+
+		const { rootHtmlKey, cdnUrl, markup } = await generateCreativeMarkup({
+			creative,
+			source,
+			validationReport,
+			clickMacro,
+			markupOptions,
+		});
+		const uploadedAt = _now();
+		const s3UploadResults = await uploadDirectoryToStorage({
+			campaignId,
+			source,
+			fileBaseName,
+			uploadId,
+			processor,
+			clickMacro,
+			storage,
+			onStage,
+			telemetry,
+			manifest: {
+				campaignId,
+				uploadId,
+				fileBaseName,
+				rootHtmlKey,
+				exporter,
+				clickMacro: _.get(clickMacro, 'name', DEFAULT_CLICK_MACRO),
+				dimensions: validationReport.dimensions,
+				clickthroughs: validationReport.clickthroughs,
+				warnings: validationReport.warnings,
+				uploadedBy,
+				uploadedAt,
+			},
+			..._.omitBy(uploadOptions, _.isNil),
+		});
+
+		await setCurrentVersion({ storage, ...creative, promotedBy: uploadedBy, promotedAt: uploadedAt });
+
+		return {
+			...creative,
+			status: 'uploaded',
+			s3UploadResults,
+			cdnUrl,
+			markup,
+			manifestKey: getManifestKey(creative),
+			clickthroughs: validationReport.clickthroughs,
+			warnings: validationReport.warnings,
+		};
+	} finally {
+		source.close();
 	}
+};
 
-	return uploadResults;
+const uploadCreative = ({ file, processor, telemetry = NOOP_TELEMETRY, ...options }) => {
+	const { uploadId, fileBaseName } = file;
+	const creativeTelemetry = telemetry.child({ uploadId, fileBaseName, exporter: processor.name });
+
+	return creativeTelemetry.measure(
+		'creative',
+		() => processCreative({ file, processor, telemetry: creativeTelemetry, ...options }),
+		({ status }) => ({ outcome: status === 'invalid' ? INVALID : SUCCESS, status })
+	);
 };
 
-const uploadObjectToS3 = params => {
-	return new Promise((resolve, reject) => {
-		s3.putObject(params, (error, data) => {
-			if (error) {
-				reject(error);
-				return;
-			}
-			resolve(data);
-		});
-	});
+const toFailedCreative = (file, error) => {
+	return {
+		fileBaseName: file.fileBaseName,
+		uploadId: file.uploadId,
+		status: 'failed',
+		error: error.message,
+		code: getErrorType(error).code,
+	};
 };
 
-const deleteFolderRecursively = filePath => {
-	if (fs.existsSync(filePath)) {
-		fs.readdirSync(filePath).forEach(file => {
-			const currentPath = path.join(filePath, file);
+const isFailedCreative = ({ status }) => status === 'invalid' || status === 'failed';
 
-			if (fs.lstatSync(currentPath).isDirectory()) {
-				deleteFolderRecursively(currentPath);
-			} else {
-				fs.unlinkSync(currentPath);
-			}
-		});
-		fs.rmdirSync(filePath);
+export const uploadCreatives = async ({ files, ...options }) => {
+	const creatives = [];
+
+	for (const file of files) {
+		try {
+			creatives.push(await uploadCreative({ file, ...options }));
+		} catch (error) {
+			creatives.push(toFailedCreative(file, error));
+		}
 	}
+
+	return creatives;
 };
 
-const removeTempFolders = () => {
-	deleteFolderRecursively(UPLOAD_DIRECTORY);
-	deleteFolderRecursively(EXTRACT_DIRECTORY);
+// A batch where no creative could be uploaded fails the request, with the status and code of the
+// first creative's error and every creative result in its details
+const toBatchError = creatives => {
+	const [{ code, error }] = creatives;
+
+	return createErrorFromCode(code, error || 'creative failed validation', { info: { creatives } });
 };
 
-export const processGWDClickthroughUrls = body => {
-	let output = body;
-
-	const exitEventRegex = /.exit\([^\)]+\)/gm;
-	const urlRegex = /(["']https?:\/\/[^\s]+["'],)/g;
-
-	_.each(body.match(exitEventRegex), params => {
-		const formattedParams = params.replace(urlRegex, url => {
-			const trimmedUrl = _.chain(url)
-				.trimStart(`'`)
-				.trimEnd(`',`)
-				.trimStart(`"`)
-				.trimEnd(`",`)
-				.value();
-			return `decodeURIComponent(window.location.href.split('?adserver=')[1]) + '${trimmedUrl}',`;
-		});
+// Each creative is its own job, identified by its upload id. Creatives that are not uploaded fail
+// their job with the creative result, e.g. its error code and validation report, as the report.
+export const enqueueCreativeJobs = async ({ queue, files, onJobsFinished = _.noop, ...options }) => {
+	const jobFinished = _.after(files.length, onJobsFinished);
 
-		output = output.replace(params, formattedParams);
-	});
+	const run = async ({ file, setStage }) => {
+		try {
+			const creative = await uploadCreative({ file, onStage: setStage, ...options }).catch(
+				error => toFailedCreative(file, error)
+			);
+
+			if (isFailedCreative(creative)) {
+				throw new VError(
+					{ name: 'CreativeJobFailedError', info: _.omit(creative, ['status', 'error']) },
+					'%s',
+					creative.error || `${file.fileBaseName} failed validation`
+				);
+			}
+
+			return creative;
+		} finally {
+			await jobFinished();
+		}
+	};
+
+	const jobs = [];
+
+	for (const file of files) {
+		jobs.push(
+			await queue.enqueue({
+				id: file.uploadId,
+				campaignId: options.campaignId,
+				fileBaseName: file.fileBaseName,
+				run: ({ setStage }) => run({ file, setStage }),
+			})
+		);
+	}
 
-	return output;
+	return jobs;
 };
 
-export const processConversioClickthroughUrls = body => {
-	let output = body;
+export const promoteCreative = async ({ markupOptions, ...version }) => {
+	const manifest = await promoteCreativeVersion(version);
+	const { campaignId, fileBaseName, uploadId } = manifest;
 
-	const clickTagRegex = /clickTag\s*=\s*["'](\S*)["']/gi;
-	const urlRegex = /(["']https?:\/\/[^\s]+["'])/g;
+	return {
+		campaignId,
+		fileBaseName,
+		uploadId,
+		...generateVersionMarkup({ manifest, markupOptions }),
+	};
+};
 
-	_.each(body.match(clickTagRegex), params => {
-		const formattedParams = params.replace(urlRegex, url => {
-			const trimmedUrl = _.chain(url)
-				.trim(`'`)
-				.trim(`"`)
-				.value();
-			return `decodeURIComponent(window.location.href.split('?adserver=')[1]) + "${trimmedUrl}"`;
-		});
+const createCreativeStorage = flags => {
+	const localStorageDirectory = configs.get(CREATIVES_LOCAL_STORAGE_DIRECTORY);
 
-		output = output.replace(params, formattedParams);
+	if (localStorageDirectory) {
+		return createLocalStorage({ directory: localStorageDirectory });
+	}
+
+	const s3Storage = createS3Storage({
+		s3,
+		bucket: S3_CREATIVES_BUCKET,
+		acl: S3_ACCESS_CONTROL_LIST,
 	});
 
-	return output;
+	if (flags.en_2127_upload_into_s3_and_gcs && configs.get(CREATIVES_UPLOAD_TO_GCS)) {
+		const gcsStorage = createGCSStorage({ storage: gcs, bucketName: GCS_CREATIVE_BUCKET_NAME });
+
+		return createFanOutStorage([s3Storage, gcsStorage]);
+	}
+
+	return s3Storage;
 };
 
+const getCreativeStorage = flags => wrapStorageErrors(createCreativeStorage(flags));
+
+export { validateGWDZipFile, processGWDClickthroughUrls } from './processors/gwd.js';
+export { validateConversioZipFile, processConversioClickthroughUrls } from './processors/conversio.js';
+export { validateHtml5ZipFile, processHtml5ClickthroughUrls } from './processors/html5.js';
+
 export default handler;
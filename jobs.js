@@ -0,0 +1,87 @@
+import VError from 'verror';
+
+export const QUEUED = 'queued';
+export const EXTRACTING = 'extracting';
+export const VALIDATING = 'validating';
+export const PROCESSING = 'processing';
+export const UPLOADING = 'uploading';
+export const DONE = 'done';
+export const FAILED = 'failed';
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+export const DEFAULT_JOB_CONCURRENCY = 1;
+export const DEFAULT_JOB_RETENTION = ONE_HOUR;
+
+const isFinished = ({ stage }) => stage === DONE || stage === FAILED;
+
+// A job queue has { name, enqueue({ id, run, ...details }), getJob(id) }. run receives setStage to
+// report progress and its result is kept on the job once done. When it throws, the job fails with
+// the error message and the error's VError info as its report.
+export const createInProcessJobQueue = ({
+	concurrency = DEFAULT_JOB_CONCURRENCY,
+	retention = DEFAULT_JOB_RETENTION,
+	_now = () => new Date(),
+} = {}) => {
+	const jobs = new Map();
+	const pending = [];
+	let running = 0;
+
+	const update = (id, changes) => {
+		const job = { ...jobs.get(id), ...changes, updatedAt: _now().toISOString() };
+
+		jobs.set(id, job);
+
+		return job;
+	};
+
+	// Finished jobs are only kept in memory for as long as clients are expected to poll them
+	const removeExpiredJobs = () => {
+		const now = _now().getTime();
+
+		for (const job of jobs.values()) {
+			if (isFinished(job) && now - Date.parse(job.updatedAt) > retention) {
+				jobs.delete(job.id);
+			}
+		}
+	};
+
+	const runJob = async ({ id, run }) => {
+		try {
+			const result = await run({ setStage: stage => update(id, { stage }) });
+
+			update(id, { stage: DONE, result });
+		} catch (error) {
+			update(id, { stage: FAILED, error: { message: error.message, ...VError.info(error) } });
+		}
+	};
+
+	const runPendingJobs = () => {
+		while (running < concurrency && pending.length > 0) {
+			running++;
+			runJob(pending.shift()).finally(() => {
+				running--;
+				runPendingJobs();
+			});
+		}
+	};
+
+	const enqueue = async ({ id, run, ...details }) => {
+		if (jobs.has(id)) {
+			throw new VError(`job ${id} already exists`);
+		}
+
+		removeExpiredJobs();
+
+		const job = update(id, { ...details, id, stage: QUEUED, createdAt: _now().toISOString() });
+
+		pending.push({ id, run });
+		runPendingJobs();
+
+		return job;
+	};
+
+	const getJob = async id => jobs.get(id);
+
+	return { name: 'in-process', enqueue, getJob };
+};
@@ -0,0 +1,107 @@
+import { expect } from 'chai';
+import VError from 'verror';
+
+import { createInProcessJobQueue } from './jobs.js';
+
+const waitFor = async (queue, id, stage) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const job = await queue.getJob(id);
+
+        if (job.stage === stage) {
+            return job;
+        }
+
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    throw new Error(`job ${id} never reached ${stage}`);
+};
+
+describe('in-process job queue', () => {
+    const _now = () => new Date('2024-01-01T00:00:00.000Z');
+
+    it('should run queued jobs and report their stages and result', async () => {
+        const queue = createInProcessJobQueue({ _now });
+        let continueJob;
+        const job = await queue.enqueue({
+            id: 'upload-1',
+            campaignId: 'campaign-1',
+            run: async ({ setStage }) => {
+                setStage('validating');
+                await new Promise(resolve => {
+                    continueJob = resolve;
+                });
+
+                return { status: 'uploaded' };
+            },
+        });
+
+        expect(job).to.eql({
+            id: 'upload-1',
+            campaignId: 'campaign-1',
+            stage: 'queued',
+            createdAt: '2024-01-01T00:00:00.000Z',
+            updatedAt: '2024-01-01T00:00:00.000Z',
+        });
+        expect((await waitFor(queue, 'upload-1', 'validating')).result).to.eql(undefined);
+
+        continueJob();
+
+        expect((await waitFor(queue, 'upload-1', 'done')).result).to.eql({ status: 'uploaded' });
+    });
+
+    it('should fail jobs with the error message and report', async () => {
+        const queue = createInProcessJobQueue({ _now });
+
+        await queue.enqueue({
+            id: 'upload-1',
+            run: async () => {
+                throw new VError({ info: { validationReport: { valid: false } } }, 'invalid creative');
+            },
+        });
+
+        expect((await waitFor(queue, 'upload-1', 'failed')).error).to.eql({
+            message: 'invalid creative',
+            validationReport: { valid: false },
+        });
+    });
+
+    it('should run at most the configured number of jobs at once', async () => {
+        const queue = createInProcessJobQueue({ concurrency: 1, _now });
+        const releases = [];
+        const run = () => new Promise(resolve => releases.push(resolve));
+
+        await queue.enqueue({ id: 'upload-1', run });
+        await queue.enqueue({ id: 'upload-2', run });
+
+        expect(releases).to.have.length(1);
+        expect((await queue.getJob('upload-2')).stage).to.eql('queued');
+
+        releases[0]();
+        await waitFor(queue, 'upload-1', 'done');
+
+        expect(releases).to.have.length(2);
+    });
+
+    it('should reject duplicate job ids and forget finished jobs after the retention', async () => {
+        let now = new Date('2024-01-01T00:00:00.000Z');
+        const queue = createInProcessJobQueue({ retention: 1000, _now: () => now });
+        let error;
+
+        await queue.enqueue({ id: 'upload-1', run: async () => 'done' });
+        await waitFor(queue, 'upload-1', 'done');
+
+        try {
+            await queue.enqueue({ id: 'upload-1', run: async () => 'done' });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.message).to.eql('job upload-1 already exists');
+
+        now = new Date('2024-01-01T00:00:02.000Z');
+        await queue.enqueue({ id: 'upload-2', run: async () => 'done' });
+
+        expect(await queue.getJob('upload-1')).to.eql(undefined);
+    });
+});
@@ -0,0 +1,42 @@
+import _ from 'lodash';
+
+export const MANIFEST_FILE_NAME = 'manifest.json';
+export const MANIFEST_VERSION = 1;
+
+export const toManifestFile = ({ file, Key, ContentType, ContentLength, hash }) => {
+	return { file, key: Key, size: ContentLength, hash, contentType: ContentType };
+};
+
+export const createManifest = ({
+	campaignId,
+	uploadId,
+	fileBaseName,
+	rootHtmlKey,
+	exporter,
+	clickMacro,
+	dimensions,
+	clickthroughs = [],
+	warnings = [],
+	uploadedBy,
+	uploadedAt,
+	files,
+}) => {
+	return {
+		version: MANIFEST_VERSION,
+		campaignId,
+		uploadId,
+		fileBaseName,
+		rootHtmlKey,
+		exporter,
+		clickMacro,
+		dimensions: {
+			declared: _.get(dimensions, 'declared') || null,
+			detected: _.get(dimensions, 'detected') || null,
+		},
+		clickthroughs,
+		warnings,
+		uploadedBy: uploadedBy || null,
+		uploadedAt: uploadedAt.toISOString(),
+		files: _.map(files, toManifestFile),
+	};
+};
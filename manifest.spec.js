@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+
+import { createManifest } from './manifest.js';
+
+describe('creative upload manifest', () => {
+    it('should describe the uploaded creative and its files', () => {
+        const manifest = createManifest({
+            campaignId: 'campaign-1',
+            uploadId: 'upload-1',
+            fileBaseName: 'creative-a',
+            rootHtmlKey: 'campaign-1/creative-a_upload-1/index.html',
+            exporter: 'gwd',
+            clickMacro: 'gam',
+            uploadedAt: new Date('2024-01-02T03:04:05.000Z'),
+            files: [
+                {
+                    file: 'creative-a/index.html',
+                    filePath: '/tmp/creative-a.zip/creative-a/index.html',
+                    Key: 'campaign-1/creative-a_upload-1/index.html',
+                    ContentType: 'text/html',
+                    ContentLength: 120,
+                    hash: 'abc',
+                    Body: '<html></html>',
+                },
+            ],
+        });
+
+        expect(manifest).to.eql({
+            version: 1,
+            campaignId: 'campaign-1',
+            uploadId: 'upload-1',
+            fileBaseName: 'creative-a',
+            rootHtmlKey: 'campaign-1/creative-a_upload-1/index.html',
+            exporter: 'gwd',
+            clickMacro: 'gam',
+            dimensions: { declared: null, detected: null },
+            clickthroughs: [],
+            warnings: [],
+            uploadedBy: null,
+            uploadedAt: '2024-01-02T03:04:05.000Z',
+            files: [
+                {
+                    file: 'creative-a/index.html',
+                    key: 'campaign-1/creative-a_upload-1/index.html',
+                    size: 120,
+                    hash: 'abc',
+                    contentType: 'text/html',
+                },
+            ],
+        });
+    });
+});
@@ -0,0 +1,122 @@
+import _ from 'lodash';
+
+import { ServerError, UserError } from './errors.js';
+
+export const IFRAME_FORMAT = 'iframe';
+export const SCRIPT_FORMAT = 'script';
+export const SAFEFRAME_FORMAT = 'safeframe';
+export const MARKUP_FORMATS = [IFRAME_FORMAT, SCRIPT_FORMAT, SAFEFRAME_FORMAT];
+export const DEFAULT_MARKUP_FORMAT = IFRAME_FORMAT;
+export const DEFAULT_CLICK_URL_PLACEHOLDER = '%%CLICK_URL_ESC%%';
+
+const HTML_ESCAPES = { '&': '&amp;', '"': '&quot;', '<': '&lt;', '>': '&gt;' };
+
+const escapeHtmlAttribute = value => {
+	return _.replace(value, /[&"<>]/g, character => HTML_ESCAPES[character]);
+};
+
+// JSON strings are valid JavaScript strings, < is escaped so a url can't close the script element
+const toScriptString = value => _.replace(JSON.stringify(value), /</g, '\\u003c');
+
+const encodeKey = key => _.map(_.split(key, '/'), encodeURIComponent).join('/');
+
+export const getCdnUrl = ({ cdnBaseUrl, rootHtmlKey }) => {
+	if (!cdnBaseUrl) {
+		throw ServerError.configurationError('creatives cdn base url is not configured');
+	}
+
+	return `${_.trimEnd(cdnBaseUrl, '/')}/${encodeKey(rootHtmlKey)}`;
+};
+
+// The creative reads the ad server click url from this query param, see clickMacros.js, so the
+// click macro's ad server macro, or the placeholder, is left in the tag for the ad server to
+// substitute when serving it
+const getCreativeUrl = ({ cdnUrl, clickMacro, clickUrlPlaceholder }) => {
+	const queryParam = _.get(clickMacro, 'queryParam');
+	const clickUrlMacro = _.get(clickMacro, 'clickUrlMacro') || clickUrlPlaceholder;
+
+	return queryParam ? `${cdnUrl}?${queryParam}=${clickUrlMacro}` : cdnUrl;
+};
+
+const createIframeTag = ({ src, width, height }) => {
+	return [
+		`<iframe src="${escapeHtmlAttribute(src)}" width="${width}" height="${height}"`,
+		` frameborder="0" marginwidth="0" marginheight="0" scrolling="no"`,
+		` style="border:0;overflow:hidden;"></iframe>`,
+	].join('');
+};
+
+const createIframeScript = ({ src, width, height }) => {
+	return [
+		`	var script = document.currentScript;`,
+		`	var iframe = document.createElement('iframe');`,
+		`	iframe.src = ${toScriptString(src)};`,
+		`	iframe.width = '${width}';`,
+		`	iframe.height = '${height}';`,
+		`	iframe.frameBorder = '0';`,
+		`	iframe.scrolling = 'no';`,
+		`	iframe.style.border = '0';`,
+		`	iframe.style.overflow = 'hidden';`,
+		`	script.parentNode.insertBefore(iframe, script);`,
+	];
+};
+
+const createScriptTag = options => {
+	return [
+		`<script type="text/javascript">`,
+		`(function () {`,
+		...createIframeScript(options),
+		`})();`,
+		`</script>`,
+	].join('\n');
+};
+
+// Inside a SafeFrame the tag registers the creative size with the host before rendering,
+// outside of one it renders like the script tag
+const createSafeFrameTag = options => {
+	const { width, height } = options;
+
+	return [
+		`<script type="text/javascript">`,
+		`(function () {`,
+		`	if (window.$sf && window.$sf.ext && window.$sf.ext.register) {`,
+		`		window.$sf.ext.register(${width}, ${height});`,
+		`	}`,
+		...createIframeScript(options),
+		`})();`,
+		`</script>`,
+	].join('\n');
+};
+
+const MARKUP_GENERATORS = {
+	[IFRAME_FORMAT]: createIframeTag,
+	[SCRIPT_FORMAT]: createScriptTag,
+	[SAFEFRAME_FORMAT]: createSafeFrameTag,
+};
+
+export const getGeneratedMarkup = ({
+	format = DEFAULT_MARKUP_FORMAT,
+	cdnBaseUrl,
+	rootHtmlKey,
+	size,
+	clickMacro,
+	clickUrlPlaceholder = DEFAULT_CLICK_URL_PLACEHOLDER,
+}) => {
+	const generateMarkup = MARKUP_GENERATORS[format];
+
+	if (!generateMarkup) {
+		throw UserError.validationError(`unsupported markup format '${format}'`);
+	}
+
+	if (!size) {
+		throw UserError.creativeValidationError('creative size is required to generate markup');
+	}
+
+	const cdnUrl = getCdnUrl({ cdnBaseUrl, rootHtmlKey });
+	const src = getCreativeUrl({ cdnUrl, clickMacro, clickUrlPlaceholder });
+
+	return {
+		cdnUrl,
+		markup: generateMarkup({ src, width: size.width, height: size.height }),
+	};
+};
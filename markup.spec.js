@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+
+import { getClickMacro } from './clickMacros.js';
+import { getGeneratedMarkup } from './markup.js';
+
+const options = {
+    cdnBaseUrl: 'https://cdn.example.com/',
+    rootHtmlKey: 'campaign-1/summer sale_upload-1/index.html',
+    size: { width: 300, height: 250 },
+    clickMacro: getClickMacro('adserver'),
+};
+const src =
+    'https://cdn.example.com/campaign-1/summer%20sale_upload-1/index.html?adserver=%%CLICK_URL_ESC%%';
+
+describe('generated ad markup', () => {
+    it('should generate a sized iframe tag by default', () => {
+        expect(getGeneratedMarkup(options)).to.eql({
+            cdnUrl: 'https://cdn.example.com/campaign-1/summer%20sale_upload-1/index.html',
+            markup: [
+                `<iframe src="${src}" width="300" height="250"`,
+                ` frameborder="0" marginwidth="0" marginheight="0" scrolling="no"`,
+                ` style="border:0;overflow:hidden;"></iframe>`,
+            ].join(''),
+        });
+    });
+
+    it('should generate a script tag', () => {
+        const { markup } = getGeneratedMarkup({ ...options, format: 'script' });
+
+        expect(markup).to.eql(
+            [
+                `<script type="text/javascript">`,
+                `(function () {`,
+                `	var script = document.currentScript;`,
+                `	var iframe = document.createElement('iframe');`,
+                `	iframe.src = "${src}";`,
+                `	iframe.width = '300';`,
+                `	iframe.height = '250';`,
+                `	iframe.frameBorder = '0';`,
+                `	iframe.scrolling = 'no';`,
+                `	iframe.style.border = '0';`,
+                `	iframe.style.overflow = 'hidden';`,
+                `	script.parentNode.insertBefore(iframe, script);`,
+                `})();`,
+                `</script>`,
+            ].join('\n')
+        );
+    });
+
+    it('should generate a SafeFrame compatible tag', () => {
+        const { markup } = getGeneratedMarkup({ ...options, format: 'safeframe' });
+
+        expect(markup).to.eql(
+            [
+                `<script type="text/javascript">`,
+                `(function () {`,
+                `	if (window.$sf && window.$sf.ext && window.$sf.ext.register) {`,
+                `		window.$sf.ext.register(300, 250);`,
+                `	}`,
+                `	var script = document.currentScript;`,
+                `	var iframe = document.createElement('iframe');`,
+                `	iframe.src = "${src}";`,
+                `	iframe.width = '300';`,
+                `	iframe.height = '250';`,
+                `	iframe.frameBorder = '0';`,
+                `	iframe.scrolling = 'no';`,
+                `	iframe.style.border = '0';`,
+                `	iframe.style.overflow = 'hidden';`,
+                `	script.parentNode.insertBefore(iframe, script);`,
+                `})();`,
+                `</script>`,
+            ].join('\n')
+        );
+    });
+
+    it('should use the click macro ad server macro or the configured click url placeholder', () => {
+        const { markup } = getGeneratedMarkup({
+            ...options,
+            clickUrlPlaceholder: '${CLICK_URL_ENC}',
+        });
+        const { markup: gamMarkup } = getGeneratedMarkup({
+            ...options,
+            clickMacro: getClickMacro('gam'),
+            clickUrlPlaceholder: '${CLICK_URL_ENC}',
+        });
+        const { markup: xandrMarkup } = getGeneratedMarkup({
+            ...options,
+            clickMacro: getClickMacro('xandr'),
+        });
+
+        expect(markup).to.include('index.html?adserver=${CLICK_URL_ENC}"');
+        expect(gamMarkup).to.include('index.html?adserver=%%CLICK_URL_ESC%%"');
+        expect(xandrMarkup).to.include('index.html?adserver=${CLICK_URL_ENC}"');
+    });
+
+    it('should escape urls in html attributes and scripts', () => {
+        const rootHtmlKey = 'campaign-1/creative_upload-1/index.html';
+        const clickUrlPlaceholder = '"></iframe><script>alert(1)</script>';
+
+        const { markup: iframe } = getGeneratedMarkup({ ...options, rootHtmlKey, clickUrlPlaceholder });
+        const { markup: script } = getGeneratedMarkup({
+            ...options,
+            rootHtmlKey,
+            clickUrlPlaceholder,
+            format: 'script',
+        });
+
+        expect(iframe).to.include('?adserver=&quot;&gt;&lt;/iframe&gt;&lt;script&gt;alert(1)&lt;/script&gt;"');
+        expect(script).to.include(
+            '?adserver=\\">\\u003c/iframe>\\u003cscript>alert(1)\\u003c/script>";'
+        );
+    });
+
+    it('should reject unknown formats, missing sizes and missing cdn configuration', () => {
+        expect(() => getGeneratedMarkup({ ...options, format: 'vast' })).to.throw(
+            `unsupported markup format 'vast'`
+        );
+        expect(() => getGeneratedMarkup({ ...options, size: undefined })).to.throw(
+            'creative size is required to generate markup'
+        );
+        expect(() => getGeneratedMarkup({ ...options, cdnBaseUrl: undefined }))
+            .to.throw('creatives cdn base url is not configured')
+            .with.property('name', 'ConfigurationError');
+    });
+});
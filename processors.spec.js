@@ -0,0 +1,50 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import {
+    getProcessor,
+    getProcessorNames,
+    registerProcessor,
+} from './processors/index.js';
+import {
+    validateGWDZipFile,
+    validateConversioZipFile,
+} from './handler.js';
+import { rewriteConversioClickthroughUrls } from './processors/conversio.js';
+import { rewriteGWDClickthroughUrls } from './processors/gwd.js';
+
+describe('exporter processor registry', () => {
+    it('should register the built-in processors', () => {
+        expect(getProcessorNames()).to.include.members(['gwd', 'conversio', 'html5']);
+
+        expect(getProcessor('gwd').validate).to.eql(validateGWDZipFile);
+        expect(getProcessor('gwd').processHtml).to.eql(rewriteGWDClickthroughUrls);
+        expect(getProcessor('conversio').validate).to.eql(validateConversioZipFile);
+        expect(getProcessor('conversio').processHtml).to.eql(rewriteConversioClickthroughUrls);
+    });
+
+    it('should return undefined for unknown exporters', () => {
+        expect(getProcessor('unknown-exporter')).to.eql(undefined);
+        expect(getProcessor(undefined)).to.eql(undefined);
+    });
+
+    it('should register new processors by name', () => {
+        const processor = {
+            name: 'test-exporter',
+            validate: sinon.stub().resolves(true),
+            processHtml: sinon.stub().returnsArg(0),
+        };
+
+        registerProcessor(processor);
+
+        expect(getProcessor('test-exporter')).to.eql(processor);
+        expect(getProcessorNames()).to.include('test-exporter');
+    });
+
+    it('should reject processors without a validator or html transformer', () => {
+        expect(() => registerProcessor({ name: 'invalid', validate: () => true })).to.throw(
+            'processor must have a name, a validate and a processHtml function'
+        );
+        expect(getProcessor('invalid')).to.eql(undefined);
+    });
+});
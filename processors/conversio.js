@@ -0,0 +1,86 @@
+import _ from 'lodash';
+import path from 'path';
+
+import { rewriteHtmlClickthroughUrls, rewriteScriptClickthroughUrls } from '../clickthrough.js';
+import { getFiles, readRootHtmlFile, toRelativePath } from '../files.js';
+import { INDEX_HTML_FILE, resolveRootHtmlFile } from '../rootHtml.js';
+import { createValidationReport, validationError } from '../validation.js';
+
+// An index.html entry point says nothing about the creative name, the folder it was zipped in does
+const getExpectedBaseName = ({ rootHtmlFile, rootDirectory, directoryPath }) => {
+	if (path.basename(rootHtmlFile).toLowerCase() !== INDEX_HTML_FILE) {
+		return path.basename(rootHtmlFile, path.extname(rootHtmlFile));
+	}
+
+	return rootDirectory !== directoryPath ? path.basename(rootDirectory) : undefined;
+};
+
+export const validateConversioZipFile = async ({
+	fileBaseName,
+	directoryToUpload,
+	_getFiles = getFiles,
+	_readRootHtmlFile = readRootHtmlFile,
+} = {}) => {
+	const directoryPath = path.resolve(directoryToUpload);
+	const files = await _getFiles(directoryPath);
+
+	const {
+		rootHtmlFile,
+		rootDirectory,
+		issues: rootHtmlIssues,
+	} = resolveRootHtmlFile({
+		files,
+		directoryPath,
+		fileBaseName,
+	});
+
+	if (!rootHtmlFile) {
+		return createValidationReport(rootHtmlIssues);
+	}
+
+	const file = toRelativePath(directoryPath, rootHtmlFile);
+	const issues = [...rootHtmlIssues];
+
+	const expectedBaseName = getExpectedBaseName({ rootHtmlFile, rootDirectory, directoryPath });
+
+	if (expectedBaseName && !_.includes(fileBaseName, expectedBaseName)) {
+		issues.push(
+			validationError(
+				'root-html-base-name',
+				`Zip file name '${fileBaseName}' does not contain basename '${expectedBaseName}'`,
+				{ file }
+			)
+		);
+	}
+
+	const rootHtmlString = _readRootHtmlFile(rootHtmlFile);
+
+	if (rootHtmlString.length < 1) {
+		issues.push(
+			validationError('root-html-content', 'Root .html file is missing content', { file })
+		);
+	}
+
+	return createValidationReport(issues);
+};
+
+const CLICKTHROUGH_OPTIONS = { clickTagAssignments: true, quote: '"' };
+
+export const rewriteConversioClickthroughUrls = (body, { clickMacro } = {}) => {
+	return rewriteHtmlClickthroughUrls(body, { ...CLICKTHROUGH_OPTIONS, clickMacro });
+};
+
+export const rewriteConversioScriptClickthroughUrls = (code, { clickMacro } = {}) => {
+	return rewriteScriptClickthroughUrls(code, { ...CLICKTHROUGH_OPTIONS, clickMacro });
+};
+
+export const processConversioClickthroughUrls = body => {
+	return rewriteConversioClickthroughUrls(body).output;
+};
+
+export default {
+	name: 'conversio',
+	validate: validateConversioZipFile,
+	processHtml: rewriteConversioClickthroughUrls,
+	processScript: rewriteConversioScriptClickthroughUrls,
+};
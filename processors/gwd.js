@@ -0,0 +1,85 @@
+import _ from 'lodash';
+import path from 'path';
+
+import { rewriteHtmlClickthroughUrls, rewriteScriptClickthroughUrls } from '../clickthrough.js';
+import { getFiles, readRootHtmlFile, toRelativePath } from '../files.js';
+import { resolveRootHtmlFile } from '../rootHtml.js';
+import { createValidationReport, getLineNumber, validationError } from '../validation.js';
+
+export const validateGWDZipFile = async ({
+	fileBaseName,
+	directoryToUpload,
+	_getFiles = getFiles,
+	_readRootHtmlFile = readRootHtmlFile,
+} = {}) => {
+	const directoryPath = path.resolve(directoryToUpload);
+	const files = await _getFiles(directoryPath);
+
+	const { rootHtmlFile, issues: rootHtmlIssues } = resolveRootHtmlFile({
+		files,
+		directoryPath,
+		fileBaseName,
+	});
+
+	if (!rootHtmlFile) {
+		return createValidationReport(rootHtmlIssues);
+	}
+
+	const file = toRelativePath(directoryPath, rootHtmlFile);
+	const rootHtmlString = _readRootHtmlFile(rootHtmlFile);
+	const issues = [...rootHtmlIssues];
+
+	if (rootHtmlString.length < 1) {
+		issues.push(
+			validationError('root-html-content', 'Root .html file is missing content', { file })
+		);
+	}
+
+	const containsGWDMeta = _.includes(
+		rootHtmlString,
+		'name="generator" content="Google Web Designer'
+	);
+
+	if (!containsGWDMeta) {
+		issues.push(
+			validationError(
+				'gwd-meta',
+				'Root .html file does not contain Google Web Designer metadata',
+				{ file }
+			)
+		);
+	}
+
+	const hasAssets = _.filter(files, file => _.includes(file, 'assets/')).length > 0;
+	const linksAssets = _.includes(rootHtmlString, 'src="assets/');
+
+	if (linksAssets && !hasAssets) {
+		issues.push(
+			validationError('linked-assets', 'Zip file is missing assets folder for linked assets', {
+				file,
+				line: getLineNumber(rootHtmlString, 'src="assets/'),
+			})
+		);
+	}
+
+	return createValidationReport(issues);
+};
+
+const CLICKTHROUGH_OPTIONS = { exitCalls: true, quote: `'` };
+
+export const rewriteGWDClickthroughUrls = (body, { clickMacro } = {}) => {
+	return rewriteHtmlClickthroughUrls(body, { ...CLICKTHROUGH_OPTIONS, clickMacro });
+};
+
+export const rewriteGWDScriptClickthroughUrls = (code, { clickMacro } = {}) => {
+	return rewriteScriptClickthroughUrls(code, { ...CLICKTHROUGH_OPTIONS, clickMacro });
+};
+
+export const processGWDClickthroughUrls = body => rewriteGWDClickthroughUrls(body).output;
+
+export default {
+	name: 'gwd',
+	validate: validateGWDZipFile,
+	processHtml: rewriteGWDClickthroughUrls,
+	processScript: rewriteGWDScriptClickthroughUrls,
+};
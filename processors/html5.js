@@ -0,0 +1,69 @@
+import _ from 'lodash';
+import path from 'path';
+
+import { rewriteHtmlClickthroughUrls, rewriteScriptClickthroughUrls } from '../clickthrough.js';
+import { parseAdSizeMeta } from '../dimensions.js';
+import { getFiles, readRootHtmlFile, toRelativePath } from '../files.js';
+import { resolveRootHtmlFile } from '../rootHtml.js';
+import { createValidationReport, validationError } from '../validation.js';
+
+export const validateHtml5ZipFile = async ({
+	fileBaseName,
+	directoryToUpload,
+	_getFiles = getFiles,
+	_readRootHtmlFile = readRootHtmlFile,
+} = {}) => {
+	const directoryPath = path.resolve(directoryToUpload);
+	const files = await _getFiles(directoryPath);
+
+	const { rootHtmlFile, issues: rootHtmlIssues } = resolveRootHtmlFile({
+		files,
+		directoryPath,
+		fileBaseName,
+	});
+
+	if (!rootHtmlFile) {
+		return createValidationReport(rootHtmlIssues);
+	}
+
+	const file = toRelativePath(directoryPath, rootHtmlFile);
+	const rootHtmlString = _readRootHtmlFile(rootHtmlFile);
+	const issues = [...rootHtmlIssues];
+
+	if (rootHtmlString.length < 1) {
+		issues.push(
+			validationError('root-html-content', 'Root .html file is missing content', { file })
+		);
+	}
+
+	const adSize = parseAdSizeMeta(rootHtmlString);
+
+	if (!adSize) {
+		issues.push(
+			validationError('ad-size-meta', 'Root .html file does not contain ad size meta tag', {
+				file,
+			})
+		);
+	}
+
+	return createValidationReport(issues, adSize && { size: _.pick(adSize, ['width', 'height']) });
+};
+
+const CLICKTHROUGH_OPTIONS = { clickTagAssignments: true };
+
+export const rewriteHtml5ClickthroughUrls = (body, { clickMacro } = {}) => {
+	return rewriteHtmlClickthroughUrls(body, { ...CLICKTHROUGH_OPTIONS, clickMacro });
+};
+
+export const rewriteHtml5ScriptClickthroughUrls = (code, { clickMacro } = {}) => {
+	return rewriteScriptClickthroughUrls(code, { ...CLICKTHROUGH_OPTIONS, clickMacro });
+};
+
+export const processHtml5ClickthroughUrls = body => rewriteHtml5ClickthroughUrls(body).output;
+
+export default {
+	name: 'html5',
+	validate: validateHtml5ZipFile,
+	processHtml: rewriteHtml5ClickthroughUrls,
+	processScript: rewriteHtml5ScriptClickthroughUrls,
+};
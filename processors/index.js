@@ -0,0 +1,25 @@
+import _ from 'lodash';
+
+import conversio from './conversio.js';
+import gwd from './gwd.js';
+import html5 from './html5.js';
+
+const processors = new Map();
+
+export const registerProcessor = processor => {
+	const { name, validate, processHtml } = processor;
+
+	if (!name || !_.isFunction(validate) || !_.isFunction(processHtml)) {
+		throw new TypeError('processor must have a name, a validate and a processHtml function');
+	}
+
+	processors.set(name, processor);
+};
+
+export const getProcessor = name => processors.get(name);
+
+export const getProcessorNames = () => [...processors.keys()];
+
+registerProcessor(gwd);
+registerProcessor(conversio);
+registerProcessor(html5);
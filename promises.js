@@ -0,0 +1,46 @@
+import _ from 'lodash';
+
+export const sleep = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+export const mapWithConcurrency = async (items, concurrency, iteratee) => {
+	const results = new Array(items.length);
+	let nextIndex = 0;
+	let failure;
+
+	const worker = async () => {
+		while (!failure && nextIndex < items.length) {
+			const index = nextIndex++;
+
+			try {
+				results[index] = await iteratee(items[index], index);
+			} catch (error) {
+				failure = failure || { error };
+			}
+		}
+	};
+
+	await Promise.all(_.times(_.clamp(concurrency, 1, Math.max(items.length, 1)), worker));
+
+	if (failure) {
+		throw failure.error;
+	}
+
+	return results;
+};
+
+export const retry = async (
+	operation,
+	{ retries = 0, delay = 100, factor = 2, shouldRetry = () => true, _sleep = sleep } = {}
+) => {
+	for (let attempt = 1; ; attempt++) {
+		try {
+			return await operation(attempt);
+		} catch (error) {
+			if (attempt > retries || !shouldRetry(error)) {
+				throw error;
+			}
+
+			await _sleep(delay * factor ** (attempt - 1));
+		}
+	}
+};
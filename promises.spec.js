@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import { mapWithConcurrency, retry } from './promises.js';
+
+describe('promise helpers', () => {
+    describe('mapWithConcurrency', () => {
+        it('should keep the result order and bound the number of running tasks', async () => {
+            let running = 0;
+            let maxRunning = 0;
+
+            const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async delay => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                running--;
+
+                return delay * 2;
+            });
+
+            expect(results).to.eql([60, 20, 40, 0, 10]);
+            expect(maxRunning).to.eql(2);
+        });
+
+        it('should stop scheduling tasks after a failure and wait for running ones', async () => {
+            const iteratee = sinon.stub().resolves();
+            iteratee.withArgs('b').rejects(new Error('failed b'));
+            let error;
+
+            try {
+                await mapWithConcurrency(['a', 'b', 'c', 'd'], 1, iteratee);
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.message).to.eql('failed b');
+            expect(iteratee.args.map(([item]) => item)).to.eql(['a', 'b']);
+        });
+
+        it('should resolve empty lists', async () => {
+            expect(await mapWithConcurrency([], 5, sinon.stub())).to.eql([]);
+        });
+    });
+
+    describe('retry', () => {
+        it('should retry with exponential backoff', async () => {
+            const operation = sinon.stub();
+            operation.onFirstCall().rejects(new Error('first'));
+            operation.onSecondCall().rejects(new Error('second'));
+            operation.onThirdCall().resolves('done');
+            const _sleep = sinon.stub().resolves();
+
+            const result = await retry(operation, { retries: 3, delay: 100, _sleep });
+
+            expect(result).to.eql('done');
+            expect(operation.args).to.eql([[1], [2], [3]]);
+            expect(_sleep.args).to.eql([[100], [200]]);
+        });
+
+        it('should give up after the last retry or on errors that should not be retried', async () => {
+            const _sleep = sinon.stub().resolves();
+            const failing = sinon.stub().rejects(new Error('always'));
+            let error;
+
+            try {
+                await retry(failing, { retries: 2, _sleep });
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.message).to.eql('always');
+            expect(failing.callCount).to.eql(3);
+
+            const fatal = sinon.stub().rejects(new Error('fatal'));
+
+            try {
+                await retry(fatal, { retries: 2, shouldRetry: () => false, _sleep });
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.message).to.eql('fatal');
+            expect(fatal.callCount).to.eql(1);
+        });
+    });
+});
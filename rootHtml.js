@@ -0,0 +1,111 @@
+import _ from 'lodash';
+import path from 'path';
+
+import { toRelativePath } from './files.js';
+import { validationError, validationWarning } from './validation.js';
+
+export const HTML_FILE_EXTENSIONS = ['.html', '.htm'];
+export const INDEX_HTML_FILE = 'index.html';
+
+// macOS adds resource forks under __MACOSX/ when zipping, including ._<name>.html files
+const IGNORED_DIRECTORIES = ['__MACOSX'];
+
+export const isHtmlFile = filePath => {
+	return _.includes(HTML_FILE_EXTENSIONS, path.extname(filePath).toLowerCase());
+};
+
+const getHtmlBaseName = filePath => path.basename(filePath, path.extname(filePath));
+
+const isIgnoredFile = relativePath => {
+	return _.includes(IGNORED_DIRECTORIES, _.split(relativePath, '/')[0]);
+};
+
+// Creatives are often zipped with their folder, so a zip containing a single top-level folder
+// and no top-level files is treated as if that folder was the root of the zip.
+const getRootDirectory = relativePaths => {
+	const topLevelEntries = _.uniq(_.map(relativePaths, relativePath => relativePath.split('/')[0]));
+	const hasTopLevelFiles = _.some(relativePaths, relativePath => !_.includes(relativePath, '/'));
+
+	return topLevelEntries.length === 1 && !hasTopLevelFiles ? topLevelEntries[0] : '';
+};
+
+const pickRootHtmlFile = (candidates, fileBaseName) => {
+	const indexHtmlFile = _.find(candidates, candidate => candidate.toLowerCase() === INDEX_HTML_FILE);
+
+	if (indexHtmlFile) {
+		return { rootHtmlFile: indexHtmlFile, reason: `is named ${INDEX_HTML_FILE}` };
+	}
+
+	const matchingBaseName = _.filter(candidates, candidate =>
+		_.startsWith(fileBaseName, getHtmlBaseName(candidate))
+	);
+	const exactBaseName = _.find(matchingBaseName, candidate => {
+		return getHtmlBaseName(candidate) === fileBaseName;
+	});
+
+	if (exactBaseName || matchingBaseName.length === 1) {
+		const rootHtmlFile = exactBaseName || matchingBaseName[0];
+
+		return { rootHtmlFile, reason: 'matches the zip file name' };
+	}
+
+	if (candidates.length === 1) {
+		return { rootHtmlFile: candidates[0] };
+	}
+
+	return {};
+};
+
+export const resolveRootHtmlFile = ({ files, directoryPath, fileBaseName = '' }) => {
+	const filesByRelativePath = _.keyBy(files, file => toRelativePath(directoryPath, file));
+	const relativePaths = _.reject(_.keys(filesByRelativePath), isIgnoredFile);
+	const rootDirectory = getRootDirectory(relativePaths);
+	const candidates = _.chain(relativePaths)
+		.map(relativePath => {
+			return rootDirectory ? relativePath.replace(`${rootDirectory}/`, '') : relativePath;
+		})
+		.filter(relativePath => !_.includes(relativePath, '/') && isHtmlFile(relativePath))
+		.sortBy()
+		.value();
+	const resolution = {
+		rootDirectory: rootDirectory ? path.join(directoryPath, rootDirectory) : directoryPath,
+		candidates,
+		issues: [],
+	};
+
+	if (candidates.length === 0) {
+		resolution.issues.push(
+			validationError('root-html-file', 'Zip file does not contain a root .html file')
+		);
+
+		return resolution;
+	}
+
+	const { rootHtmlFile, reason } = pickRootHtmlFile(candidates, fileBaseName);
+
+	if (!rootHtmlFile) {
+		resolution.issues.push(
+			validationError(
+				'root-html-ambiguous',
+				`Zip file contains several root .html files (${candidates.join(', ')}), ` +
+					`expected one to be named ${INDEX_HTML_FILE} or match the zip file name`
+			)
+		);
+
+		return resolution;
+	}
+
+	const file = rootDirectory ? `${rootDirectory}/${rootHtmlFile}` : rootHtmlFile;
+
+	if (candidates.length > 1) {
+		resolution.issues.push(
+			validationWarning(
+				'root-html-ambiguous',
+				`Zip file contains several root .html files, using ${rootHtmlFile} as it ${reason}`,
+				{ file }
+			)
+		);
+	}
+
+	return { ...resolution, rootHtmlFile: filesByRelativePath[file] };
+};
@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import _ from 'lodash';
+
+import { isHtmlFile, resolveRootHtmlFile } from './rootHtml.js';
+
+const resolve = (files, fileBaseName = 'creative-a') => {
+    return resolveRootHtmlFile({
+        files: _.map(files, file => `/uploads/creative-a.zip/${file}`),
+        directoryPath: '/uploads/creative-a.zip',
+        fileBaseName,
+    });
+};
+
+describe('root html file resolution', () => {
+    describe('isHtmlFile', () => {
+        it('should only match html file extensions', () => {
+            expect(isHtmlFile('index.html')).to.eql(true);
+            expect(isHtmlFile('INDEX.HTM')).to.eql(true);
+            expect(isHtmlFile('index.html.bak')).to.eql(false);
+            expect(isHtmlFile('html/script.js')).to.eql(false);
+        });
+    });
+
+    describe('resolveRootHtmlFile', () => {
+        it('should prefer index.html', () => {
+            const { rootHtmlFile, issues } = resolve(['creative-a.html', 'index.html']);
+
+            expect(rootHtmlFile).to.eql('/uploads/creative-a.zip/index.html');
+            expect(issues).to.eql([
+                {
+                    rule: 'root-html-ambiguous',
+                    severity: 'warning',
+                    message: 'Zip file contains several root .html files, using index.html as it is named index.html',
+                    file: 'index.html',
+                },
+            ]);
+        });
+
+        it('should prefer the html file matching the zip file name', () => {
+            const { rootHtmlFile } = resolve(['backup.html', 'creative-a.html'], 'creative-a (1)');
+
+            expect(rootHtmlFile).to.eql('/uploads/creative-a.zip/creative-a.html');
+        });
+
+        it('should ignore nested and non html files', () => {
+            const { rootHtmlFile, candidates, issues } = resolve([
+                'assets/preview.html',
+                'banner.html',
+                'banner.html.bak',
+            ]);
+
+            expect(rootHtmlFile).to.eql('/uploads/creative-a.zip/banner.html');
+            expect(candidates).to.eql(['banner.html']);
+            expect(issues).to.eql([]);
+        });
+
+        it('should handle a top-level folder inside the zip file', () => {
+            const { rootHtmlFile, rootDirectory } = resolve([
+                '__MACOSX/creative-a/._index.html',
+                'creative-a/assets/preview.html',
+                'creative-a/index.html',
+            ]);
+
+            expect(rootHtmlFile).to.eql('/uploads/creative-a.zip/creative-a/index.html');
+            expect(rootDirectory).to.eql('/uploads/creative-a.zip/creative-a');
+        });
+
+        it('should report several root html files without a preferred one', () => {
+            const { rootHtmlFile, issues } = resolve(['a.html', 'b.html']);
+
+            expect(rootHtmlFile).to.eql(undefined);
+            expect(_.map(issues, 'severity')).to.eql(['error']);
+            expect(issues[0].message).to.eql(
+                'Zip file contains several root .html files (a.html, b.html), ' +
+                    'expected one to be named index.html or match the zip file name'
+            );
+        });
+
+        it('should report a missing root html file', () => {
+            const { rootHtmlFile, issues } = resolve(['assets/preview.html', 'image.png']);
+
+            expect(rootHtmlFile).to.eql(undefined);
+            expect(_.map(issues, 'rule')).to.eql(['root-html-file']);
+        });
+    });
+});
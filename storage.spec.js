@@ -0,0 +1,411 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { PassThrough, Readable } from 'stream';
+import VError from 'verror';
+
+import { createZipSource } from './archive.js';
+
+import {
+    createFanOutStorage,
+    createGCSStorage,
+    createLocalStorage,
+    createS3Storage,
+    createUploadTransaction,
+    isTransientStorageError,
+    wrapStorageErrors,
+} from './storage/index.js';
+import { streamToBuffer } from './streams.js';
+
+describe('creative storage backends', () => {
+    describe('createS3Storage', () => {
+        it('should put, delete and list objects in the bucket', async () => {
+            const s3 = {
+                putObject: sinon.stub().yields(null, {}),
+                deleteObject: sinon.stub().yields(null, {}),
+                listObjectsV2: sinon.stub(),
+            };
+            s3.listObjectsV2
+                .onFirstCall()
+                .yields(null, {
+                    Contents: [{ Key: 'campaign-1/a.html' }],
+                    IsTruncated: true,
+                    NextContinuationToken: 'next',
+                })
+                .onSecondCall()
+                .yields(null, { Contents: [{ Key: 'campaign-1/b.png' }], IsTruncated: false });
+            const storage = createS3Storage({ s3, bucket: 'bucket', acl: 'public-read' });
+
+            await storage.put({ key: 'campaign-1/a.html', body: '<html>', contentType: 'text/html' });
+            await storage.delete('campaign-1/a.html');
+            const keys = await storage.list('campaign-1/');
+
+            expect(s3.putObject.firstCall.args[0]).to.eql({
+                Key: 'campaign-1/a.html',
+                Body: '<html>',
+                Bucket: 'bucket',
+                ACL: 'public-read',
+                ContentType: 'text/html',
+            });
+            expect(s3.deleteObject.firstCall.args[0]).to.eql({
+                Key: 'campaign-1/a.html',
+                Bucket: 'bucket',
+            });
+            expect(s3.listObjectsV2.secondCall.args[0]).to.eql({
+                Bucket: 'bucket',
+                Prefix: 'campaign-1/',
+                ContinuationToken: 'next',
+            });
+            expect(keys).to.eql(['campaign-1/a.html', 'campaign-1/b.png']);
+        });
+
+        it('should read objects from the bucket', async () => {
+            const s3 = { getObject: sinon.stub().yields(null, { Body: Buffer.from('{}') }) };
+            const storage = createS3Storage({ s3, bucket: 'bucket' });
+
+            expect((await storage.get('campaign-1/a.json')).toString()).to.eql('{}');
+            expect(s3.getObject.firstCall.args[0]).to.eql({ Key: 'campaign-1/a.json', Bucket: 'bucket' });
+        });
+
+        it('should check whether objects exist', async () => {
+            const s3 = { headObject: sinon.stub() };
+            s3.headObject.withArgs(sinon.match({ Key: 'a.html' })).yields(null, {});
+            s3.headObject
+                .withArgs(sinon.match({ Key: 'b.html' }))
+                .yields(Object.assign(new Error('not found'), { code: 'NotFound' }));
+            s3.headObject
+                .withArgs(sinon.match({ Key: 'c.html' }))
+                .yields(Object.assign(new Error('forbidden'), { code: 'Forbidden' }));
+            const storage = createS3Storage({ s3, bucket: 'bucket' });
+            let error;
+
+            expect(await storage.exists('a.html')).to.eql(true);
+            expect(await storage.exists('b.html')).to.eql(false);
+
+            try {
+                await storage.exists('c.html');
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.message).to.eql('forbidden');
+        });
+
+        it('should reject when s3 fails', async () => {
+            const s3 = { putObject: sinon.stub().yields(new Error('access denied')) };
+            const storage = createS3Storage({ s3, bucket: 'bucket' });
+            let error;
+
+            try {
+                await storage.put({ key: 'a.html', body: '' });
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.message).to.eql('access denied');
+        });
+    });
+
+    describe('createGCSStorage', () => {
+        it('should put, delete and list files in the bucket', async () => {
+            const file = {
+                save: sinon.stub().resolves(),
+                delete: sinon.stub().resolves(),
+                exists: sinon.stub().resolves([true]),
+                download: sinon.stub().resolves([Buffer.from('<html>')]),
+            };
+            const bucket = {
+                file: sinon.stub().returns(file),
+                getFiles: sinon.stub().resolves([[{ name: 'campaign-1/a.html' }]]),
+            };
+            const gcs = { bucket: sinon.stub().returns(bucket) };
+            const storage = createGCSStorage({ storage: gcs, bucketName: 'bucket' });
+
+            await storage.put({ key: 'campaign-1/a.html', body: '<html>', contentType: 'text/html' });
+            await storage.delete('campaign-1/a.html');
+            const keys = await storage.list('campaign-1/');
+
+            expect(await storage.exists('campaign-1/a.html')).to.eql(true);
+            expect((await storage.get('campaign-1/a.html')).toString()).to.eql('<html>');
+            expect(gcs.bucket.alwaysCalledWith('bucket')).to.eql(true);
+            expect(bucket.file.alwaysCalledWith('campaign-1/a.html')).to.eql(true);
+            expect(file.save.firstCall.args).to.eql([
+                '<html>',
+                { contentType: 'text/html', resumable: false },
+            ]);
+            expect(file.delete.firstCall.args[0]).to.eql({ ignoreNotFound: true });
+            expect(bucket.getFiles.firstCall.args[0]).to.eql({ prefix: 'campaign-1/' });
+            expect(keys).to.eql(['campaign-1/a.html']);
+        });
+    });
+
+    describe('createLocalStorage', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'creatives-storage-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('should put, delete and list files in the directory', async () => {
+            const storage = createLocalStorage({ directory });
+
+            await storage.put({ key: 'campaign-1/creative/a.html', body: '<html>' });
+            await storage.put({ key: 'campaign-1/creative/assets/b.png', body: Buffer.from('b') });
+            await storage.put({ key: 'campaign-2/creative/c.html', body: '<html>' });
+
+            expect(fs.readFileSync(path.join(directory, 'campaign-1/creative/a.html'), 'utf8')).to.eql(
+                '<html>'
+            );
+            expect(await storage.list('campaign-1/')).to.eql([
+                'campaign-1/creative/a.html',
+                'campaign-1/creative/assets/b.png',
+            ]);
+
+            expect(await storage.exists('campaign-1/creative/a.html')).to.eql(true);
+            expect((await storage.get('campaign-1/creative/a.html')).toString()).to.eql('<html>');
+
+            await storage.delete('campaign-1/creative/a.html');
+
+            expect(await storage.list('campaign-1/')).to.eql(['campaign-1/creative/assets/b.png']);
+            expect(await storage.exists('campaign-1/creative/a.html')).to.eql(false);
+        });
+
+        it('should reject keys outside of the directory', async () => {
+            const storage = createLocalStorage({ directory });
+            let error;
+
+            try {
+                await storage.put({ key: '../escaped.html', body: '' });
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.message).to.include(`storage key '../escaped.html' resolves outside of`);
+        });
+    });
+
+    describe('createFanOutStorage', () => {
+        it('should write to, delete from and check every backend and read from the first', async () => {
+            const createBackend = name => ({
+                name,
+                put: sinon.stub().resolves(),
+                delete: sinon.stub().resolves(),
+                list: sinon.stub().resolves([`${name}/a.html`]),
+                exists: sinon.stub().resolves(true),
+                get: sinon.stub().resolves(Buffer.from(name)),
+            });
+            const s3 = createBackend('s3');
+            const gcs = createBackend('gcs');
+            const storage = createFanOutStorage([s3, gcs]);
+            const file = { key: 'a.html', body: '<html>', contentType: 'text/html' };
+
+            await storage.put(file);
+            await storage.delete('a.html');
+
+            expect(storage.name).to.eql('s3+gcs');
+            expect(s3.put.calledWith(file)).to.eql(true);
+            expect(gcs.put.calledWith(file)).to.eql(true);
+            expect(s3.delete.calledWith('a.html')).to.eql(true);
+            expect(gcs.delete.calledWith('a.html')).to.eql(true);
+            expect(await storage.list('')).to.eql(['s3/a.html']);
+            expect(gcs.list.called).to.eql(false);
+            expect((await storage.get('a.html')).toString()).to.eql('s3');
+            expect(gcs.get.called).to.eql(false);
+            expect(await storage.exists('a.html')).to.eql(true);
+
+            gcs.exists.resolves(false);
+
+            expect(await storage.exists('a.html')).to.eql(false);
+        });
+    });
+
+    describe('streamed uploads', () => {
+        it('should stream bodies into gcs files', async () => {
+            const written = new PassThrough();
+            const file = { createWriteStream: sinon.stub().returns(written) };
+            const gcs = { bucket: () => ({ file: () => file }) };
+            const storage = createGCSStorage({ storage: gcs, bucketName: 'bucket' });
+            const content = streamToBuffer(written);
+
+            await storage.put({
+                key: 'a.png',
+                body: Readable.from([Buffer.from('png')]),
+                contentType: 'image/png',
+            });
+
+            expect(file.createWriteStream.firstCall.args[0]).to.eql({
+                contentType: 'image/png',
+                resumable: false,
+            });
+            expect((await content).toString()).to.eql('png');
+        });
+
+        it('should copy streamed bodies to every fan-out backend', async () => {
+            const createBackend = name => ({
+                name,
+                put: sinon.spy(async ({ body }) => streamToBuffer(body)),
+            });
+            const backends = [createBackend('s3'), createBackend('gcs')];
+            const storage = createFanOutStorage(backends);
+
+            const results = await storage.put({
+                key: 'a.png',
+                body: Readable.from([Buffer.from('p'), Buffer.from('ng')]),
+            });
+
+            expect(results.map(result => result.toString())).to.eql(['png', 'png']);
+        });
+
+        it('should stream zip entries stored without compression into local and gcs storage', async () => {
+            const source = await createZipSource('fixtures/html5-test-stored.zip');
+            const [imageFile] = source.getFiles();
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'creatives-storage-'));
+            const written = new PassThrough();
+            const file = { createWriteStream: sinon.stub().returns(written) };
+            const gcs = { bucket: () => ({ file: () => file }) };
+            const content = streamToBuffer(written);
+
+            try {
+                await createLocalStorage({ directory }).put({
+                    key: 'a.png',
+                    body: await source.createReadStream(imageFile),
+                });
+                await createGCSStorage({ storage: gcs, bucketName: 'bucket' }).put({
+                    key: 'a.png',
+                    body: await source.createReadStream(imageFile),
+                    contentType: 'image/png',
+                });
+
+                expect(fs.statSync(path.join(directory, 'a.png')).size).to.eql(
+                    source.getSize(imageFile)
+                );
+                expect((await content).length).to.eql(source.getSize(imageFile));
+            } finally {
+                source.close();
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('server-side copies', () => {
+        it('should copy objects within the s3 bucket and gcs bucket', async () => {
+            const s3 = { copyObject: sinon.stub().yields(null, {}) };
+            const file = { copy: sinon.stub().resolves() };
+            const bucket = { file: sinon.stub().returns(file) };
+            const gcs = { bucket: () => bucket };
+            const copy = { sourceKey: 'campaign-1/a b_1/a.png', key: 'campaign-1/a b_2/a.png' };
+
+            await createS3Storage({ s3, bucket: 'bucket', acl: 'public-read' }).copy(copy);
+            await createGCSStorage({ storage: gcs, bucketName: 'bucket' }).copy(copy);
+
+            expect(s3.copyObject.firstCall.args[0]).to.eql({
+                Key: 'campaign-1/a b_2/a.png',
+                Bucket: 'bucket',
+                CopySource: 'bucket/campaign-1/a%20b_1/a.png',
+                ACL: 'public-read',
+            });
+            expect(bucket.file.args.map(args => args[0])).to.eql([copy.sourceKey, copy.key]);
+            expect(file.copy.calledOnceWith(file)).to.eql(true);
+        });
+
+        it('should copy files within the local directory and to every fan-out backend', async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'creatives-storage-'));
+            const local = createLocalStorage({ directory });
+            const other = { name: 'other', copy: sinon.stub().resolves() };
+            const copy = { sourceKey: 'campaign-1/a_1/a.png', key: 'campaign-1/a_2/assets/a.png' };
+
+            try {
+                await local.put({ key: copy.sourceKey, body: 'png' });
+                await createFanOutStorage([local, other]).copy(copy);
+
+                expect((await local.get(copy.key)).toString()).to.eql('png');
+                expect(other.copy.calledOnceWith(copy)).to.eql(true);
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('createUploadTransaction', () => {
+        it('should delete every written object on rollback', async () => {
+            const storage = {
+                put: sinon.stub().resolves(),
+                copy: sinon.stub().resolves(),
+                delete: sinon.stub().resolves(),
+            };
+            storage.delete.withArgs('b.png').rejects(new Error('not allowed'));
+            const transaction = createUploadTransaction(storage);
+
+            await transaction.put({ key: 'a.html', body: '' });
+            await transaction.copy({ sourceKey: 'a_1/b.png', key: 'b.png' });
+
+            expect(await transaction.rollback()).to.eql({
+                rolledBack: ['a.html'],
+                rollbackFailures: [{ key: 'b.png', error: 'not allowed' }],
+            });
+            expect(await transaction.rollback()).to.eql({ rolledBack: [], rollbackFailures: [] });
+        });
+
+        it('should delete failed writes without reporting them as rolled back', async () => {
+            const storage = {
+                put: sinon.stub().resolves(),
+                delete: sinon.stub().resolves(),
+            };
+            storage.put.withArgs(sinon.match({ key: 'b.png' })).rejects(new Error('disk full'));
+            const transaction = createUploadTransaction(storage);
+
+            await transaction.put({ key: 'a.html', body: '' });
+            await transaction.put({ key: 'b.png', body: '' }).catch(() => {});
+
+            expect(await transaction.rollback()).to.eql({ rolledBack: ['a.html'], rollbackFailures: [] });
+            expect(storage.delete.args).to.eql([['a.html'], ['b.png']]);
+        });
+    });
+
+    describe('wrapStorageErrors', () => {
+        it('should turn rejections of the storage into storage errors', async () => {
+            const storage = wrapStorageErrors({
+                name: 'local',
+                list: sinon.stub().rejects(new Error('not a directory')),
+                exists: sinon.stub().resolves(true),
+            });
+            const error = await storage.list('campaign-1/').catch(err => err);
+
+            expect(storage.name).to.eql('local');
+            expect(await storage.exists('campaign-1/a.html')).to.eql(true);
+            expect(error.name).to.eql('StorageError');
+            expect(error.message).to.eql('local storage list failed');
+            expect(VError.cause(error).message).to.eql('not a directory');
+        });
+    });
+
+    describe('isTransientStorageError', () => {
+        it('should detect retryable storage errors', () => {
+            expect(isTransientStorageError({ retryable: true })).to.eql(true);
+            expect(isTransientStorageError({ code: 'SlowDown' })).to.eql(true);
+            expect(isTransientStorageError({ code: 'ECONNRESET' })).to.eql(true);
+            expect(isTransientStorageError({ statusCode: 503 })).to.eql(true);
+            expect(isTransientStorageError({ code: 429 })).to.eql(true);
+        });
+
+        it('should detect retryable causes of storage errors', async () => {
+            const cause = Object.assign(new Error('slow down'), { code: 'SlowDown' });
+            const storage = wrapStorageErrors({ name: 's3', put: sinon.stub().rejects(cause) });
+            const error = await storage.put({ key: 'a.html' }).catch(err => err);
+
+            expect(isTransientStorageError(error)).to.eql(true);
+        });
+
+        it('should not retry permanent storage errors', () => {
+            expect(isTransientStorageError(new Error('disk full'))).to.eql(false);
+            expect(isTransientStorageError({ code: 'AccessDenied', statusCode: 403 })).to.eql(false);
+            expect(isTransientStorageError({ code: 404 })).to.eql(false);
+        });
+    });
+});
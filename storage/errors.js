@@ -0,0 +1,53 @@
+import _ from 'lodash';
+import VError from 'verror';
+
+import { ServerError } from '../errors.js';
+
+const TRANSIENT_ERROR_CODES = [
+	'ECONNRESET',
+	'ETIMEDOUT',
+	'EAI_AGAIN',
+	'NetworkingError',
+	'RequestTimeout',
+	'RequestTimeTooSkewed',
+	'SlowDown',
+	'ThrottlingException',
+	'TimeoutError',
+];
+
+const isTransientError = error => {
+	const statusCode = _.get(error, 'statusCode', _.get(error, 'code'));
+
+	return (
+		_.get(error, 'retryable') === true ||
+		_.includes(TRANSIENT_ERROR_CODES, _.get(error, 'code')) ||
+		statusCode === 429 ||
+		(_.isNumber(statusCode) && statusCode >= 500)
+	);
+};
+
+// the backend error may be the cause of a storage error, see wrapStorageErrors
+export const isTransientStorageError = error => {
+	return isTransientError(error) || (_.isError(error) && isTransientStorageError(VError.cause(error)));
+};
+
+// Rejections of the storage backends become storage errors, reported to the client as a storage
+// failure instead of an internal error, with the backend error as their private cause
+export const wrapStorageErrors = storage => {
+	return _.mapValues(storage, (value, method) => {
+		if (!_.isFunction(value)) {
+			return value;
+		}
+
+		return async (...args) => {
+			try {
+				return await value(...args);
+			} catch (error) {
+				throw ServerError.storageError(`${storage.name} storage ${method} failed`, {
+					cause: error,
+					skipCauseMessage: true,
+				});
+			}
+		};
+	});
+};
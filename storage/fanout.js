@@ -0,0 +1,44 @@
+import _ from 'lodash';
+
+import { isReadableStream, teeStream } from '../streams.js';
+
+export const createFanOutStorage = backends => {
+	const [primary] = backends;
+
+	const put = file => {
+		if (!isReadableStream(file.body)) {
+			return Promise.all(_.map(backends, backend => backend.put(file)));
+		}
+
+		const bodies = teeStream(file.body, backends.length);
+
+		return Promise.all(
+			_.map(backends, (backend, index) => backend.put({ ...file, body: bodies[index] }))
+		);
+	};
+
+	const copy = file => Promise.all(_.map(backends, backend => backend.copy(file)));
+
+	const remove = key => Promise.all(_.map(backends, backend => backend.delete(key)));
+
+	const exists = async key => {
+		const results = await Promise.all(_.map(backends, backend => backend.exists(key)));
+
+		return _.every(results);
+	};
+
+	const get = key => primary.get(key);
+
+	const list = prefix => primary.list(prefix);
+
+	return {
+		name: _.map(backends, 'name').join('+'),
+		backends,
+		put,
+		copy,
+		get,
+		delete: remove,
+		exists,
+		list,
+	};
+};
@@ -0,0 +1,44 @@
+import _ from 'lodash';
+import { pipeline } from 'stream/promises';
+
+import { isReadableStream } from '../streams.js';
+
+export const createGCSStorage = ({ storage, bucketName }) => {
+	const bucket = () => storage.bucket(bucketName);
+
+	const put = ({ key, body, contentType }) => {
+		const file = bucket().file(key);
+
+		if (isReadableStream(body)) {
+			return pipeline(body, file.createWriteStream({ contentType, resumable: false }));
+		}
+
+		return file.save(body, { contentType, resumable: false });
+	};
+
+	const copy = ({ sourceKey, key }) => bucket().file(sourceKey).copy(bucket().file(key));
+
+	const remove = key => {
+		return bucket().file(key).delete({ ignoreNotFound: true });
+	};
+
+	const get = async key => {
+		const [content] = await bucket().file(key).download();
+
+		return content;
+	};
+
+	const exists = async key => {
+		const [fileExists] = await bucket().file(key).exists();
+
+		return fileExists;
+	};
+
+	const list = async prefix => {
+		const [files] = await bucket().getFiles({ prefix });
+
+		return _.map(files, 'name');
+	};
+
+	return { name: 'gcs', put, copy, get, delete: remove, exists, list };
+};
@@ -0,0 +1,6 @@
+export { createFanOutStorage } from './fanout.js';
+export { createGCSStorage } from './gcs.js';
+export { createLocalStorage } from './local.js';
+export { createS3Storage } from './s3.js';
+export { createUploadTransaction } from './transaction.js';
+export { isTransientStorageError, wrapStorageErrors } from './errors.js';
@@ -0,0 +1,68 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import VError from 'verror';
+
+import { getFiles, toRelativePath } from '../files.js';
+import { isReadableStream } from '../streams.js';
+
+export const createLocalStorage = ({ directory }) => {
+	const rootPath = path.resolve(directory);
+
+	const resolveKey = key => {
+		const filePath = path.resolve(rootPath, key);
+
+		if (!filePath.startsWith(`${rootPath}${path.sep}`)) {
+			throw new VError(`storage key '${key}' resolves outside of ${rootPath}`);
+		}
+
+		return filePath;
+	};
+
+	const put = async ({ key, body }) => {
+		const filePath = resolveKey(key);
+
+		await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+		if (isReadableStream(body)) {
+			await pipeline(body, fs.createWriteStream(filePath));
+			return;
+		}
+
+		await fs.promises.writeFile(filePath, body);
+	};
+
+	const copy = async ({ sourceKey, key }) => {
+		const filePath = resolveKey(key);
+
+		await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+		await fs.promises.copyFile(resolveKey(sourceKey), filePath);
+	};
+
+	const remove = async key => {
+		await fs.promises.rm(resolveKey(key), { force: true });
+	};
+
+	const get = key => fs.promises.readFile(resolveKey(key));
+
+	const exists = async key => {
+		try {
+			await fs.promises.access(resolveKey(key));
+
+			return true;
+		} catch (error) {
+			return false;
+		}
+	};
+
+	const list = async (prefix = '') => {
+		const files = await getFiles(rootPath);
+
+		return files
+			.map(filePath => toRelativePath(rootPath, filePath).split(path.sep).join('/'))
+			.filter(key => key.startsWith(prefix))
+			.sort();
+	};
+
+	return { name: 'local', put, copy, get, delete: remove, exists, list };
+};
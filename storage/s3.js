@@ -0,0 +1,90 @@
+import _ from 'lodash';
+
+const callS3 = (s3, method, params) => {
+	return new Promise((resolve, reject) => {
+		s3[method](params, (error, data) => {
+			if (error) {
+				reject(error);
+				return;
+			}
+			resolve(data);
+		});
+	});
+};
+
+export const createS3Storage = ({ s3, bucket, acl }) => {
+	const put = ({ key, body, contentType, contentLength }) => {
+		return callS3(
+			s3,
+			'putObject',
+			_.omitBy(
+				{
+					Key: key,
+					Body: body,
+					Bucket: bucket,
+					ACL: acl,
+					ContentType: contentType,
+					ContentLength: contentLength,
+				},
+				_.isUndefined
+			)
+		);
+	};
+
+	const copy = ({ sourceKey, key }) => {
+		const copySource = _.map(`${bucket}/${sourceKey}`.split('/'), encodeURIComponent).join('/');
+
+		return callS3(
+			s3,
+			'copyObject',
+			_.omitBy(
+				{ Key: key, Bucket: bucket, CopySource: copySource, ACL: acl },
+				_.isUndefined
+			)
+		);
+	};
+
+	const remove = key => {
+		return callS3(s3, 'deleteObject', { Key: key, Bucket: bucket });
+	};
+
+	const get = async key => {
+		const { Body } = await callS3(s3, 'getObject', { Key: key, Bucket: bucket });
+
+		return Body;
+	};
+
+	const exists = async key => {
+		try {
+			await callS3(s3, 'headObject', { Key: key, Bucket: bucket });
+
+			return true;
+		} catch (error) {
+			if (error.code === 'NotFound' || error.statusCode === 404) {
+				return false;
+			}
+
+			throw error;
+		}
+	};
+
+	const list = async prefix => {
+		const keys = [];
+		let ContinuationToken;
+
+		do {
+			const { Contents, IsTruncated, NextContinuationToken } = await callS3(
+				s3,
+				'listObjectsV2',
+				_.omitBy({ Bucket: bucket, Prefix: prefix, ContinuationToken }, _.isUndefined)
+			);
+
+			keys.push(..._.map(Contents, 'Key'));
+			ContinuationToken = IsTruncated ? NextContinuationToken : undefined;
+		} while (ContinuationToken);
+
+		return keys;
+	};
+
+	return { name: 's3', put, copy, get, delete: remove, exists, list };
+};
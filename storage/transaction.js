@@ -0,0 +1,50 @@
+import _ from 'lodash';
+
+export const createUploadTransaction = storage => {
+	const writtenKeys = [];
+	const failedKeys = [];
+
+	// only keys whose write resolved count as rolled back, failed writes are
+	// still deleted to clean up partially written objects
+	const track = (key, write) =>
+		write.then(
+			result => {
+				writtenKeys.push(key);
+
+				return result;
+			},
+			error => {
+				failedKeys.push(key);
+
+				throw error;
+			}
+		);
+
+	const put = file => track(file.key, storage.put(file));
+
+	const copy = file => track(file.key, storage.copy(file));
+
+	const rollback = async () => {
+		const keys = _.uniq(writtenKeys);
+		const partialKeys = _.difference(_.uniq(failedKeys), keys);
+		const results = await Promise.allSettled(_.map(keys, key => storage.delete(key)));
+
+		await Promise.allSettled(_.map(partialKeys, key => storage.delete(key)));
+
+		writtenKeys.length = 0;
+		failedKeys.length = 0;
+
+		return {
+			rolledBack: _.filter(keys, (key, index) => results[index].status === 'fulfilled'),
+			rollbackFailures: _.compact(
+				_.map(keys, (key, index) => {
+					const { status, reason } = results[index];
+
+					return status === 'rejected' && { key, error: reason.message };
+				})
+			),
+		};
+	};
+
+	return { put, copy, rollback };
+};
@@ -0,0 +1,31 @@
+import _ from 'lodash';
+import { PassThrough } from 'stream';
+
+export const isReadableStream = value => _.isFunction(_.get(value, 'pipe'));
+
+// Streams are consumed through events: the async iterator of yauzl's stored (uncompressed) entry
+// streams never settles.
+export const readStream = (stream, onChunk) => {
+	return new Promise((resolve, reject) => {
+		stream.on('data', onChunk);
+		stream.once('end', resolve);
+		stream.once('error', reject);
+	});
+};
+
+export const streamToBuffer = async stream => {
+	const chunks = [];
+
+	await readStream(stream, chunk => chunks.push(chunk));
+
+	return Buffer.concat(chunks);
+};
+
+export const teeStream = (stream, count) => {
+	const outputs = _.times(count, () => new PassThrough());
+
+	stream.once('error', error => _.each(outputs, output => output.destroy(error)));
+	_.each(outputs, output => stream.pipe(output));
+
+	return outputs;
+};
@@ -0,0 +1,92 @@
+import _ from 'lodash';
+
+export const SUCCESS = 'success';
+export const FAILURE = 'failure';
+export const INVALID = 'invalid';
+
+// A sink receives every event and metric record through emit(record)
+export const createConsoleJsonSink = ({ _write = line => process.stdout.write(line) } = {}) => {
+	return { name: 'console-json', emit: record => _write(`${JSON.stringify(record)}\n`) };
+};
+
+export const createInMemorySink = () => {
+	const records = [];
+
+	return {
+		name: 'in-memory',
+		records,
+		emit: record => records.push(record),
+		getEvents: name => _.filter(records, _.omitBy({ kind: 'event', name }, _.isUndefined)),
+		getMetrics: name => _.filter(records, _.omitBy({ kind: 'metric', name }, _.isUndefined)),
+		clear: () => {
+			records.length = 0;
+		},
+	};
+};
+
+// Sinks of the telemetry created for each upload request, records are written to stdout as json
+// lines until the application sets its own, e.g. to forward them to a metrics backend
+let requestSinks = [createConsoleJsonSink()];
+
+export const setTelemetrySinks = sinks => {
+	if (!_.isArray(sinks) || !_.every(sinks, sink => _.isFunction(_.get(sink, 'emit')))) {
+		throw new TypeError('telemetry sinks must be an array of objects with an emit function');
+	}
+
+	requestSinks = sinks;
+};
+
+export const getTelemetrySinks = () => requestSinks;
+
+export const createTelemetry = ({ sinks = [], context = {}, _now = () => new Date() } = {}) => {
+	const emit = record => {
+		for (const sink of sinks) {
+			try {
+				sink.emit(record);
+			} catch (error) {
+				// a failing sink must not fail the upload it reports on
+			}
+		}
+	};
+
+	const event = (name, fields = {}) => {
+		emit({ kind: 'event', name, timestamp: _now().toISOString(), ...context, ...fields });
+	};
+
+	// Metric tags are kept apart from the event context so that they stay low cardinality
+	const metric = (name, value, tags = {}) => {
+		emit({ kind: 'metric', name, value, timestamp: _now().toISOString(), tags });
+	};
+
+	// Runs task and emits its event with the duration and outcome, describe adds fields, including
+	// another outcome, from the task result
+	const measure = async (name, task, describe = () => ({})) => {
+		const startTime = _now().getTime();
+
+		try {
+			const result = await task();
+
+			event(name, {
+				outcome: SUCCESS,
+				durationMs: _now().getTime() - startTime,
+				...describe(result),
+			});
+
+			return result;
+		} catch (error) {
+			event(name, {
+				outcome: FAILURE,
+				durationMs: _now().getTime() - startTime,
+				error: error.message,
+			});
+
+			throw error;
+		}
+	};
+
+	const child = fields => createTelemetry({ sinks, context: { ...context, ...fields }, _now });
+
+	return { event, metric, measure, child };
+};
+
+export const NOOP_TELEMETRY = createTelemetry();
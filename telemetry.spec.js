@@ -0,0 +1,128 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import {
+    createConsoleJsonSink,
+    createInMemorySink,
+    createTelemetry,
+    getTelemetrySinks,
+    setTelemetrySinks,
+} from './telemetry.js';
+
+describe('pipeline telemetry', () => {
+    const _now = () => new Date('2024-01-01T00:00:00.000Z');
+
+    it('should emit events with their context and metrics with their tags', () => {
+        const sink = createInMemorySink();
+        const telemetry = createTelemetry({
+            sinks: [sink],
+            context: { campaignId: 'campaign-1' },
+            _now,
+        });
+
+        telemetry.child({ uploadId: 'upload-1' }).event('extract', { bytes: 10 });
+        telemetry.metric('creative.validation.failure', 1, { exporter: 'gwd', rule: 'dimensions' });
+
+        expect(sink.getEvents()).to.eql([
+            {
+                kind: 'event',
+                name: 'extract',
+                timestamp: '2024-01-01T00:00:00.000Z',
+                campaignId: 'campaign-1',
+                uploadId: 'upload-1',
+                bytes: 10,
+            },
+        ]);
+        expect(sink.getMetrics('creative.validation.failure')).to.eql([
+            {
+                kind: 'metric',
+                name: 'creative.validation.failure',
+                value: 1,
+                timestamp: '2024-01-01T00:00:00.000Z',
+                tags: { exporter: 'gwd', rule: 'dimensions' },
+            },
+        ]);
+
+        sink.clear();
+
+        expect(sink.records).to.eql([]);
+    });
+
+    it('should measure the duration and outcome of a task', async () => {
+        const sink = createInMemorySink();
+        let time = 0;
+        const telemetry = createTelemetry({ sinks: [sink], _now: () => new Date((time += 5)) });
+        let error;
+        const result = await telemetry.measure(
+            'validate',
+            async () => ({ valid: false }),
+            () => ({ outcome: 'invalid' })
+        );
+
+        expect(result).to.eql({ valid: false });
+
+        try {
+            await telemetry.measure('extract', async () => {
+                throw new Error('corrupt zip');
+            });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.message).to.eql('corrupt zip');
+        expect(sink.getEvents()).to.eql([
+            {
+                kind: 'event',
+                name: 'validate',
+                timestamp: '1970-01-01T00:00:00.015Z',
+                outcome: 'invalid',
+                durationMs: 5,
+            },
+            {
+                kind: 'event',
+                name: 'extract',
+                timestamp: '1970-01-01T00:00:00.030Z',
+                outcome: 'failure',
+                durationMs: 5,
+                error: 'corrupt zip',
+            },
+        ]);
+    });
+
+    it('should write records as json lines and ignore failing sinks', () => {
+        const _write = sinon.spy();
+        const failingSink = { emit: sinon.stub().throws(new Error('disk full')) };
+        const telemetry = createTelemetry({
+            sinks: [failingSink, createConsoleJsonSink({ _write })],
+            _now,
+        });
+
+        telemetry.event('form-parse', { outcome: 'success' });
+
+        expect(JSON.parse(_write.firstCall.args[0])).to.eql({
+            kind: 'event',
+            name: 'form-parse',
+            timestamp: '2024-01-01T00:00:00.000Z',
+            outcome: 'success',
+        });
+        expect(_write.firstCall.args[0]).to.match(/}\n$/);
+    });
+
+    it('should write request telemetry to console json until other sinks are set', () => {
+        const defaultSinks = getTelemetrySinks();
+        const sink = createInMemorySink();
+
+        expect(defaultSinks.map(({ name }) => name)).to.eql(['console-json']);
+        expect(() => setTelemetrySinks([{ name: 'bad' }])).to.throw(
+            'telemetry sinks must be an array of objects with an emit function'
+        );
+
+        try {
+            setTelemetrySinks([sink]);
+
+            expect(getTelemetrySinks()).to.eql([sink]);
+        } finally {
+            setTelemetrySinks(defaultSinks);
+        }
+    });
+});
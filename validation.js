@@ -0,0 +1,36 @@
+import _ from 'lodash';
+
+export const ERROR = 'error';
+export const WARNING = 'warning';
+
+const createIssue = (severity, rule, message, { file, line, column } = {}) => {
+	return _.omitBy({ rule, severity, message, file, line, column }, _.isUndefined);
+};
+
+export const validationError = (rule, message, location) => {
+	return createIssue(ERROR, rule, message, location);
+};
+
+export const validationWarning = (rule, message, location) => {
+	return createIssue(WARNING, rule, message, location);
+};
+
+export const createValidationReport = (issues, details = {}) => {
+	const errors = _.filter(issues, { severity: ERROR });
+	const warnings = _.filter(issues, { severity: WARNING });
+
+	return { valid: errors.length === 0, errors, warnings, ...details };
+};
+
+export const mergeValidationReports = (...reports) => {
+	const issues = _.flatMap(reports, ({ errors, warnings }) => [...errors, ...warnings]);
+	const details = _.omit(_.assign({}, ...reports), ['valid', 'errors', 'warnings']);
+
+	return createValidationReport(issues, details);
+};
+
+export const getLineNumber = (string, search) => {
+	const index = string.indexOf(search);
+
+	return index < 0 ? undefined : string.slice(0, index).split('\n').length;
+};
@@ -0,0 +1,56 @@
+import { expect } from 'chai';
+
+import {
+    createValidationReport,
+    getLineNumber,
+    mergeValidationReports,
+    validationError,
+    validationWarning,
+} from './validation.js';
+
+describe('validation reports', () => {
+    it('should split issues into errors and warnings', () => {
+        const error = validationError('root-html-file', 'Zip file does not contain a root .html file');
+        const warning = validationWarning('dimensions', 'size mismatch', { file: 'a.html', line: 3 });
+
+        expect(createValidationReport([error, warning])).to.eql({
+            valid: false,
+            errors: [
+                {
+                    rule: 'root-html-file',
+                    severity: 'error',
+                    message: 'Zip file does not contain a root .html file',
+                },
+            ],
+            warnings: [
+                {
+                    rule: 'dimensions',
+                    severity: 'warning',
+                    message: 'size mismatch',
+                    file: 'a.html',
+                    line: 3,
+                },
+            ],
+        });
+        expect(createValidationReport([warning]).valid).to.eql(true);
+    });
+
+    it('should merge reports and their details', () => {
+        const report = mergeValidationReports(
+            createValidationReport([validationWarning('a', 'first')], {
+                size: { width: 1, height: 2 },
+            }),
+            createValidationReport([validationError('b', 'second')])
+        );
+
+        expect(report.valid).to.eql(false);
+        expect(report.size).to.eql({ width: 1, height: 2 });
+        expect(report.errors).to.have.length(1);
+        expect(report.warnings).to.have.length(1);
+    });
+
+    it('should find the line number of a match', () => {
+        expect(getLineNumber('a\nb\nc', 'c')).to.eql(3);
+        expect(getLineNumber('a\nb\nc', 'd')).to.eql(undefined);
+    });
+});
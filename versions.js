@@ -0,0 +1,218 @@
+import _ from 'lodash';
+import VError from 'verror';
+
+import {
+	getCreativeKeyPrefix,
+	getCurrentVersionKey,
+	getManifestKey,
+	isManifestKey,
+	parseCreativeKey,
+} from './creativeKeys.js';
+import { getContentIndexKey, readContentIndexEntry } from './deduplication.js';
+import { mapWithConcurrency } from './promises.js';
+
+export const DEFAULT_VERSIONS_TO_KEEP = 5;
+
+const STORAGE_CONCURRENCY = 4;
+
+export const readJson = async (storage, key) => JSON.parse((await storage.get(key)).toString('utf8'));
+
+const writeJson = (storage, key, data) => {
+	const body = `${JSON.stringify(data, null, 2)}\n`;
+
+	return storage.put({
+		key,
+		body,
+		contentType: 'application/json',
+		contentLength: Buffer.byteLength(body),
+	});
+};
+
+const getCurrentVersion = async ({ storage, ...creative }) => {
+	const key = getCurrentVersionKey(creative);
+
+	return (await storage.exists(key)) ? readJson(storage, key) : undefined;
+};
+
+export const setCurrentVersion = ({
+	storage,
+	campaignId,
+	fileBaseName,
+	uploadId,
+	promotedBy,
+	promotedAt,
+}) => {
+	return writeJson(storage, getCurrentVersionKey({ campaignId, fileBaseName }), {
+		campaignId,
+		fileBaseName,
+		uploadId,
+		promotedBy: promotedBy || null,
+		promotedAt: promotedAt.toISOString(),
+	});
+};
+
+// Keys of other creatives sharing the prefix, e.g. 'a_b' when listing 'a', are left out
+export const getCreativeKeys = async ({ storage, campaignId, fileBaseName }) => {
+	const keys = await storage.list(`${campaignId}/${fileBaseName}_`);
+
+	return _.filter(keys, key => {
+		return _.get(parseCreativeKey({ campaignId, key }), 'fileBaseName') === fileBaseName;
+	});
+};
+
+export const getCreativeVersions = async ({ storage, campaignId, fileBaseName, manifestKeys }) => {
+	const manifests = await mapWithConcurrency(manifestKeys, STORAGE_CONCURRENCY, key => {
+		return readJson(storage, key);
+	});
+	const currentVersion = await getCurrentVersion({ storage, campaignId, fileBaseName });
+	const versions = _.orderBy(
+		_.map(manifests, (manifest, index) => ({
+			uploadId: manifest.uploadId,
+			uploadedAt: manifest.uploadedAt,
+			uploadedBy: manifest.uploadedBy,
+			manifestKey: manifestKeys[index],
+			manifest,
+		})),
+		'uploadedAt',
+		'desc'
+	);
+	// The latest version is current until another one is promoted
+	const currentUploadId = _.get(currentVersion, 'uploadId', _.get(versions[0], 'uploadId', null));
+
+	return {
+		campaignId,
+		fileBaseName,
+		currentUploadId,
+		versions: _.map(versions, version => ({
+			...version,
+			current: version.uploadId === currentUploadId,
+		})),
+	};
+};
+
+export const listCreativeVersions = async ({ storage, campaignId, fileBaseName }) => {
+	const keys = await getCreativeKeys({ storage, campaignId, fileBaseName });
+	const manifestKeys = _.filter(keys, key => isManifestKey({ campaignId, key }));
+
+	return getCreativeVersions({ storage, campaignId, fileBaseName, manifestKeys });
+};
+
+export const promoteCreativeVersion = async ({
+	storage,
+	campaignId,
+	fileBaseName,
+	uploadId,
+	promotedBy,
+	_now = () => new Date(),
+}) => {
+	const manifestKey = getManifestKey({ campaignId, fileBaseName, uploadId });
+
+	if (!(await storage.exists(manifestKey))) {
+		throw new VError(
+			{ name: 'CreativeVersionNotFoundError', info: { campaignId, fileBaseName, uploadId } },
+			'creative %s has no version %s',
+			fileBaseName,
+			uploadId
+		);
+	}
+
+	const manifest = await readJson(storage, manifestKey);
+
+	await setCurrentVersion({
+		storage,
+		campaignId,
+		fileBaseName,
+		uploadId,
+		promotedBy,
+		promotedAt: _now(),
+	});
+
+	return manifest;
+};
+
+// Manifests are deleted last, a version that could not be fully removed is still listed and can be
+// removed again on the next run
+export const deleteCreativeKeys = async ({ storage, campaignId, keys }) => {
+	const [manifestKeys, fileKeys] = _.partition(keys, key => isManifestKey({ campaignId, key }));
+
+	await mapWithConcurrency(fileKeys, STORAGE_CONCURRENCY, key => storage.delete(key));
+	await mapWithConcurrency(manifestKeys, STORAGE_CONCURRENCY, key => storage.delete(key));
+};
+
+// Content index entries pointing to an object of a removed version are removed with it, later
+// uploads of the same content upload it again instead of copying it
+export const removeContentIndexEntries = async ({
+	storage,
+	campaignId,
+	removedManifests,
+	dryRun = false,
+}) => {
+	const removedFiles = _.flatMap(removedManifests, ({ files }) => _.filter(files, 'hash'));
+	const removedKeys = new Set(_.map(removedFiles, 'key'));
+	const entries = await mapWithConcurrency(
+		_.uniq(_.map(removedFiles, 'hash')),
+		STORAGE_CONCURRENCY,
+		hash => readContentIndexEntry({ storage, campaignId, hash })
+	);
+	const indexKeys = _.chain(entries)
+		.filter(entry => entry && removedKeys.has(entry.key))
+		.map(({ hash }) => getContentIndexKey({ campaignId, hash }))
+		.sortBy()
+		.value();
+
+	if (!dryRun) {
+		await mapWithConcurrency(indexKeys, STORAGE_CONCURRENCY, key => storage.delete(key));
+	}
+
+	return indexKeys;
+};
+
+// retention: { keep, maxAge } keeps the current version, the `keep` latest versions and, when
+// maxAge is set, every version uploaded less than maxAge milliseconds ago
+export const pruneCreativeVersions = async ({
+	storage,
+	campaignId,
+	fileBaseName,
+	retention = {},
+	dryRun = false,
+	_now = () => new Date(),
+}) => {
+	const { keep = DEFAULT_VERSIONS_TO_KEEP, maxAge } = retention;
+	const { versions } = await listCreativeVersions({ storage, campaignId, fileBaseName });
+	const now = _now().getTime();
+	const isKept = (version, index) => {
+		return (
+			version.current ||
+			index < keep ||
+			(_.isNumber(maxAge) && now - Date.parse(version.uploadedAt) < maxAge)
+		);
+	};
+	const keptVersions = _.filter(versions, isKept);
+	const prunedVersions = _.reject(versions, isKept);
+	const pruned = [];
+
+	for (const { uploadId, uploadedAt } of prunedVersions) {
+		const creative = { campaignId, fileBaseName, uploadId };
+		const keys = await storage.list(getCreativeKeyPrefix(creative));
+
+		if (!dryRun) {
+			await deleteCreativeKeys({ storage, campaignId, keys });
+		}
+
+		pruned.push({ uploadId, uploadedAt, keys });
+	}
+
+	return {
+		campaignId,
+		fileBaseName,
+		dryRun,
+		kept: _.map(keptVersions, 'uploadId'),
+		pruned,
+		removedIndexKeys: await removeContentIndexEntries({
+			storage,
+			campaignId,
+			removedManifests: _.map(prunedVersions, 'manifest'),
+			dryRun,
+		}),
+	};
+};
@@ -0,0 +1,158 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import _ from 'lodash';
+import os from 'os';
+import path from 'path';
+
+import { indexStoredContent } from './deduplication.js';
+import { createLocalStorage } from './storage/index.js';
+import { listCreativeVersions, promoteCreativeVersion, pruneCreativeVersions } from './versions.js';
+
+describe('creative versions', () => {
+    const creative = { campaignId: 'campaign-1', fileBaseName: 'creative-a' };
+    let directory;
+    let storage;
+
+    const putVersion = async ({ fileBaseName = 'creative-a', uploadId, uploadedAt }) => {
+        const prefix = `campaign-1/${fileBaseName}_${uploadId}/`;
+        const files = [{ key: `${prefix}index.html`, hash: `hash-${uploadId}` }];
+
+        await storage.put({ key: `${prefix}index.html`, body: '<html></html>' });
+        await storage.put({
+            key: `${prefix}manifest.json`,
+            body: JSON.stringify({
+                campaignId: 'campaign-1',
+                fileBaseName,
+                uploadId,
+                uploadedAt,
+                files,
+            }),
+        });
+    };
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'creatives-versions-'));
+        storage = createLocalStorage({ directory });
+
+        await putVersion({ uploadId: 'upload-1', uploadedAt: '2024-01-01T00:00:00.000Z' });
+        await putVersion({ uploadId: 'upload-3', uploadedAt: '2024-01-03T00:00:00.000Z' });
+        await putVersion({ uploadId: 'upload-2', uploadedAt: '2024-01-02T00:00:00.000Z' });
+        await putVersion({
+            fileBaseName: 'creative-a_b',
+            uploadId: 'upload-4',
+            uploadedAt: '2024-01-04T00:00:00.000Z',
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should list the versions of a creative, latest first', async () => {
+        const { currentUploadId, versions } = await listCreativeVersions({ storage, ...creative });
+
+        expect(currentUploadId).to.eql('upload-3');
+        expect(_.map(versions, 'uploadId')).to.eql(['upload-3', 'upload-2', 'upload-1']);
+        expect(_.map(versions, 'current')).to.eql([true, false, false]);
+        expect(versions[0].manifestKey).to.eql('campaign-1/creative-a_upload-3/manifest.json');
+        expect(versions[0].manifest.uploadedAt).to.eql('2024-01-03T00:00:00.000Z');
+    });
+
+    it('should promote an earlier version as current', async () => {
+        const manifest = await promoteCreativeVersion({
+            storage,
+            ...creative,
+            uploadId: 'upload-1',
+            promotedBy: { id: 'user-1' },
+            _now: () => new Date('2024-02-01T00:00:00.000Z'),
+        });
+
+        expect(manifest.uploadId).to.eql('upload-1');
+        expect(JSON.parse(await storage.get('campaign-1/_versions/creative-a.json'))).to.eql({
+            ...creative,
+            uploadId: 'upload-1',
+            promotedBy: { id: 'user-1' },
+            promotedAt: '2024-02-01T00:00:00.000Z',
+        });
+        expect((await listCreativeVersions({ storage, ...creative })).currentUploadId).to.eql(
+            'upload-1'
+        );
+    });
+
+    it('should reject promoting a version that does not exist', async () => {
+        let error;
+
+        try {
+            await promoteCreativeVersion({ storage, ...creative, uploadId: 'upload-4' });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.name).to.eql('CreativeVersionNotFoundError');
+        expect(error.message).to.eql('creative creative-a has no version upload-4');
+    });
+
+    it('should prune versions beyond the retention policy but never the current one', async () => {
+        await promoteCreativeVersion({ storage, ...creative, uploadId: 'upload-1' });
+
+        const result = await pruneCreativeVersions({ storage, ...creative, retention: { keep: 1 } });
+
+        expect(result).to.eql({
+            ...creative,
+            dryRun: false,
+            kept: ['upload-3', 'upload-1'],
+            pruned: [
+                {
+                    uploadId: 'upload-2',
+                    uploadedAt: '2024-01-02T00:00:00.000Z',
+                    keys: [
+                        'campaign-1/creative-a_upload-2/index.html',
+                        'campaign-1/creative-a_upload-2/manifest.json',
+                    ],
+                },
+            ],
+            removedIndexKeys: [],
+        });
+        expect(await storage.list('campaign-1/creative-a_upload-2/')).to.eql([]);
+        expect(await storage.list('campaign-1/creative-a_b_upload-4/')).to.have.length(2);
+    });
+
+    it('should remove content index entries pointing to pruned versions', async () => {
+        for (const uploadId of ['upload-2', 'upload-3']) {
+            await indexStoredContent({
+                storage,
+                campaignId: 'campaign-1',
+                hash: `hash-${uploadId}`,
+                key: `campaign-1/creative-a_${uploadId}/index.html`,
+            });
+        }
+
+        const dryRun = await pruneCreativeVersions({
+            storage,
+            ...creative,
+            retention: { keep: 1 },
+            dryRun: true,
+        });
+        const result = await pruneCreativeVersions({ storage, ...creative, retention: { keep: 1 } });
+
+        expect(dryRun.removedIndexKeys).to.eql(['campaign-1/_objects/hash-upload-2.json']);
+        expect(result.removedIndexKeys).to.eql(['campaign-1/_objects/hash-upload-2.json']);
+        expect(await storage.list('campaign-1/_objects/')).to.eql([
+            'campaign-1/_objects/hash-upload-3.json',
+        ]);
+    });
+
+    it('should keep recent versions and leave storage untouched on dry runs', async () => {
+        const result = await pruneCreativeVersions({
+            storage,
+            ...creative,
+            retention: { keep: 1, maxAge: 2 * 24 * 60 * 60 * 1000 },
+            dryRun: true,
+            _now: () => new Date('2024-01-03T12:00:00.000Z'),
+        });
+
+        expect(result.kept).to.eql(['upload-3', 'upload-2']);
+        expect(_.map(result.pruned, 'uploadId')).to.eql(['upload-1']);
+        expect(await storage.list('campaign-1/creative-a_upload-1/')).to.have.length(2);
+    });
+});
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import _ from 'lodash';
+import path from 'path';
+
+import { UPLOAD_DIRECTORY } from './files.js';
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+export const DEFAULT_WORKSPACE_MAX_AGE = ONE_HOUR;
+
+let sweeper;
+
+// Workspaces of this process are in use until removed, e.g. by jobs waiting in the queue for longer
+// than the max age, so only workspaces left behind by earlier processes are swept
+const activeWorkspaces = new Set();
+
+export const createWorkspace = async (uploadId, { rootDirectory = UPLOAD_DIRECTORY } = {}) => {
+	const directory = path.join(rootDirectory, uploadId);
+
+	await fs.promises.mkdir(directory, { recursive: true });
+	activeWorkspaces.add(path.resolve(directory));
+
+	return {
+		directory,
+		remove: async () => {
+			await fs.promises.rm(directory, { recursive: true, force: true });
+			activeWorkspaces.delete(path.resolve(directory));
+		},
+	};
+};
+
+export const sweepStaleWorkspaces = async ({
+	maxAge = DEFAULT_WORKSPACE_MAX_AGE,
+	rootDirectory = UPLOAD_DIRECTORY,
+	_now = Date.now,
+} = {}) => {
+	if (!fs.existsSync(rootDirectory)) {
+		return [];
+	}
+
+	const removed = [];
+
+	for (const name of await fs.promises.readdir(rootDirectory)) {
+		const workspacePath = path.join(rootDirectory, name);
+
+		if (activeWorkspaces.has(path.resolve(workspacePath))) {
+			continue;
+		}
+
+		const { mtimeMs } = await fs.promises.stat(workspacePath);
+
+		if (_now() - mtimeMs > maxAge) {
+			await fs.promises.rm(workspacePath, { recursive: true, force: true });
+			removed.push(workspacePath);
+		}
+	}
+
+	return removed;
+};
+
+export const startWorkspaceSweeper = ({
+	maxAge = DEFAULT_WORKSPACE_MAX_AGE,
+	interval = maxAge,
+	rootDirectory = UPLOAD_DIRECTORY,
+} = {}) => {
+	if (!sweeper) {
+		const sweep = () => sweepStaleWorkspaces({ maxAge, rootDirectory }).catch(_.noop);
+
+		sweep();
+		sweeper = setInterval(sweep, interval);
+		sweeper.unref();
+	}
+
+	return sweeper;
+};
+
+export const stopWorkspaceSweeper = () => {
+	clearInterval(sweeper);
+	sweeper = undefined;
+};
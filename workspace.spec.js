@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createWorkspace, sweepStaleWorkspaces } from './workspace.js';
+
+describe('request workspaces', () => {
+    let rootDirectory;
+
+    beforeEach(() => {
+        rootDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'creatives-workspaces-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(rootDirectory, { recursive: true, force: true });
+    });
+
+    it('should create and remove a workspace keyed by upload id', async () => {
+        const workspace = await createWorkspace('upload-1', { rootDirectory });
+
+        fs.writeFileSync(path.join(workspace.directory, 'creative.zip'), 'zip');
+
+        expect(workspace.directory).to.eql(path.join(rootDirectory, 'upload-1'));
+        expect(fs.existsSync(path.join(workspace.directory, 'creative.zip'))).to.eql(true);
+
+        await workspace.remove();
+
+        expect(fs.existsSync(workspace.directory)).to.eql(false);
+    });
+
+    it('should keep workspaces of other requests', async () => {
+        const first = await createWorkspace('upload-1', { rootDirectory });
+        const second = await createWorkspace('upload-2', { rootDirectory });
+
+        await first.remove();
+
+        expect(fs.existsSync(second.directory)).to.eql(true);
+    });
+
+    it('should sweep workspaces older than the max age', async () => {
+        const stale = path.join(rootDirectory, 'upload-1');
+        const fresh = path.join(rootDirectory, 'upload-2');
+        const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+        fs.mkdirSync(stale);
+        fs.mkdirSync(fresh);
+        fs.utimesSync(stale, twoHoursAgo, twoHoursAgo);
+
+        const removed = await sweepStaleWorkspaces({ maxAge: 60 * 60 * 1000, rootDirectory });
+
+        expect(removed).to.eql([stale]);
+        expect(fs.existsSync(stale)).to.eql(false);
+        expect(fs.existsSync(fresh)).to.eql(true);
+    });
+
+    it('should not sweep workspaces still in use by this process', async () => {
+        const workspace = await createWorkspace('upload-1', { rootDirectory });
+        const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+        fs.utimesSync(workspace.directory, twoHoursAgo, twoHoursAgo);
+
+        expect(await sweepStaleWorkspaces({ maxAge: 60 * 60 * 1000, rootDirectory })).to.eql([]);
+        expect(fs.existsSync(workspace.directory)).to.eql(true);
+
+        await workspace.remove();
+        fs.mkdirSync(workspace.directory);
+        fs.utimesSync(workspace.directory, twoHoursAgo, twoHoursAgo);
+
+        expect(await sweepStaleWorkspaces({ maxAge: 60 * 60 * 1000, rootDirectory })).to.eql([
+            workspace.directory,
+        ]);
+    });
+
+    it('should ignore a missing workspaces directory', async () => {
+        const removed = await sweepStaleWorkspaces({
+            rootDirectory: path.join(rootDirectory, 'missing'),
+        });
+
+        expect(removed).to.eql([]);
+    });
+});